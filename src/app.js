@@ -3,13 +3,27 @@
  * Initializes the app and connects all modules
  */
 
-import { DEFAULT_COLORS, AUDIO_DEFAULTS } from "./config.js";
+import {
+  DEFAULT_COLORS,
+  AUDIO_DEFAULTS,
+  LYRICS_DEFAULTS,
+  LOCAL_LYRICS,
+  LYRICS_NETWORK,
+} from "./config.js";
 import { livelyPropertyListener } from "./propertyListener.js";
-import { livelyCurrentTrack } from "./trackListener.js";
-import { renderAudioVisualization } from "./audio.js";
+import { livelyCurrentTrack, getTrackKey } from "./trackListener.js";
+import { renderAudioVisualization, extractAudioBands } from "./audio.js";
+import { analyzeSpectrum } from "./spectrum.js";
+import { detectBeat, beatPulse } from "./beat.js";
 import { render } from "./renderer.js";
 import { setDynamicColors } from "./colors.js";
-import { updateLyricsSync } from "./lyrics.js";
+import {
+  updateLyricsSync,
+  setLyricsLayout,
+  setLyricsTranslationMode,
+  setLyricsBeatGlow,
+} from "./lyricsView.js";
+import { getPlaybackTime, syncPlaybackClock } from "./playbackClock.js";
 
 /**
  * Application state
@@ -48,8 +62,25 @@ export const state = {
   minLevel: AUDIO_DEFAULTS.minLevel,
   maxLevel: AUDIO_DEFAULTS.maxLevel,
   smoothing: AUDIO_DEFAULTS.smoothing,
+  spectrumScale: AUDIO_DEFAULTS.spectrumScale, // One of SPECTRUM_SCALES
+  spectrumBands: AUDIO_DEFAULTS.spectrumBands,
+  bassCrossover: AUDIO_DEFAULTS.bassCrossover,
+  highsCrossover: AUDIO_DEFAULTS.highsCrossover,
+  attackTime: AUDIO_DEFAULTS.attackTime,
+  releaseTime: AUDIO_DEFAULTS.releaseTime,
+  peakHold: AUDIO_DEFAULTS.peakHold,
+  peakHoldTime: AUDIO_DEFAULTS.peakHoldTime,
+  peakDecay: AUDIO_DEFAULTS.peakDecay,
+  beatSensitivity: AUDIO_DEFAULTS.beatSensitivity,
+  beatArtPulse: AUDIO_DEFAULTS.beatArtPulse,
+  beatLineFlash: AUDIO_DEFAULTS.beatLineFlash,
+  beatLyricGlow: AUDIO_DEFAULTS.beatLyricGlow,
+  visualizerStyle: AUDIO_DEFAULTS.visualizerStyle,
 
   isAudioActive: false,
+  audioLevel: 0, // Overall level of the last audio frame (0-1)
+  lastBeat: null, // {time, strength, bpm} of the last detected beat
+  bpm: null, // Estimated tempo, null until enough beats were heard
 
   // Image and Color Data
   image: null,
@@ -59,25 +90,43 @@ export const state = {
   musixmatchKey: null,
   geniusKey: null,
 
+  // Lyrics Sources - local folder first, then provider ids in priority order
+  localLyricsFolder: LOCAL_LYRICS.folder,
+  lyricsProviders: LYRICS_DEFAULTS.providers,
+  parallelLyricsSearch: LYRICS_DEFAULTS.parallelSearch,
+  lyricsProxy: LYRICS_NETWORK.proxy, // CORS proxy template, empty for none
+  lyricsEndpoints: {}, // Provider id to base URL overrides
+
   // Lyrics Timing - Array of {text, startTime, duration, endTime, isGap}
-  currentPosition: 0,
+  clock: null, // Playback clock, see playbackClock.js
+  currentPosition: 0, // Interpolated playhead in seconds
+  currentDuration: 0,
+  currentTrackKey: undefined,
+  trackRequest: null, // AbortController for the current track's art and lyrics
   currentLyrics: null,
   lyricsSource: "",
+  lyricsSynced: true, // False for plain lyrics shown as a sheet
+  lyricsEstimated: false, // Plain lyrics with timing spread over the duration
+  estimatePlainTiming: LYRICS_DEFAULTS.estimatePlainTiming,
+  lyricsLayout: LYRICS_DEFAULTS.layout,
+  lyricsTranslationMode: LYRICS_DEFAULTS.translationMode,
+  romanize: { ...LYRICS_DEFAULTS.romanize }, // Scripts given a romanized line
+  minLyricsGap: LYRICS_DEFAULTS.minGap, // Seconds, shorter gaps are not shown
+  lyricsGapPulse: LYRICS_DEFAULTS.gapPulse,
+
+  // Lyrics Offsets in milliseconds - global and remembered per song
+  currentArtist: "",
+  currentTitle: "",
+  lyricsOffset: LYRICS_DEFAULTS.offset,
+  trackLyricsOffset: 0,
+  trackOffsetSlider: null, // Last "trackLyricsOffset" value Lively reported
 };
 
 /**
- * Line coordinates
+ * Line coordinates - [{a: {x, y}, b: {x, y}}, ...] in VISUALIZER_LINES order
+ * Filled by render() for the current canvas size
  */
-export const lines = {
-  line1A: { x: 0, y: 0 },
-  line1B: { x: 0, y: 0 },
-  line2A: { x: 0, y: 0 },
-  line2B: { x: 0, y: 0 },
-  line3A: { x: 0, y: 0 },
-  line3B: { x: 0, y: 0 },
-  line4A: { x: 0, y: 0 },
-  line4B: { x: 0, y: 0 },
-};
+export const lines = [];
 
 /**
  * Album art image
@@ -89,6 +138,8 @@ img.src = "./art.png";
  * Main update loop - runs every frame
  */
 function updateLoop(timestamp) {
+  state.currentPosition = getPlaybackTime(state);
+
   // Update lyrics if available
   if (state.currentLyrics && state.currentLyrics.length > 0) {
     updateLyricsSync(state.currentPosition, state);
@@ -116,10 +167,22 @@ export function initializeApp() {
   };
 
   window.livelyAudioListener = (audioArray) => {
-    renderAudioVisualization(audioArray, state, lines);
+    const spectrum = analyzeSpectrum(audioArray, state);
+    state.audioLevel = extractAudioBands(spectrum).overall;
+
+    const beat = detectBeat(spectrum, state);
+    if (beat) {
+      state.lastBeat = beat;
+      state.bpm = beat.bpm || state.bpm;
+    }
+    setLyricsBeatGlow(beatPulse(state) * state.beatLyricGlow);
+
+    renderAudioVisualization(spectrum, state, lines);
   };
 
   // Initial render
+  setLyricsLayout(state.lyricsLayout);
+  setLyricsTranslationMode(state.lyricsTranslationMode);
   setDynamicColors(state);
   render(state, lines, img);
 
@@ -149,13 +212,31 @@ window.livelyCurrentTrack = (data) => {
 
   const trackData = JSON.parse(data);
 
+  // Only a different track needs its art and lyrics processed again
+  const trackKey = getTrackKey(trackData);
+  if (trackKey !== state.currentTrackKey) {
+    state.currentTrackKey = trackKey;
+    livelyCurrentTrack(data, state, lines, img);
+  }
+
   // Update current playback position from Lively (in milliseconds)
   if (trackData && trackData.Position !== undefined) {
-    state.currentPosition = trackData.Position / 1000; // Convert to seconds
+    syncPlaybackClock(state, trackData.Position / 1000, isPlaying(trackData));
   } else if (trackData && trackData.Progress !== undefined) {
-    state.currentPosition = trackData.Progress / 1000; // Convert to seconds
+    syncPlaybackClock(state, trackData.Progress / 1000, isPlaying(trackData));
   }
-
-  // Handle new track (song change)
-  livelyCurrentTrack(data, state, lines, img);
 };
+
+/**
+ * Reads the playback state from track data, if Lively reports one
+ * @returns {boolean|undefined} Undefined when the state has to be inferred
+ */
+function isPlaying(trackData) {
+  if (typeof trackData.IsPlaying === "boolean") return trackData.IsPlaying;
+  if (trackData.PlaybackStatus !== undefined) {
+    return (
+      trackData.PlaybackStatus === "Playing" || trackData.PlaybackStatus === 4
+    );
+  }
+  return undefined;
+}
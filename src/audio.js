@@ -3,590 +3,323 @@
  * Handles audio frequency analysis and waveform rendering
  */
 
-import { SCALE } from "./config.js";
+import {
+  SCALE,
+  VISUALIZER_LINES,
+  AUDIO_ENVELOPE,
+  BEAT_DETECTION,
+} from "./config.js";
 import { colorWithAlpha } from "./colors.js";
+import { applyEnvelope } from "./spectrum.js";
+import { beatPulse } from "./beat.js";
+import {
+  drawBars,
+  drawDiamondOutline,
+  drawRadial,
+  drawMirroredWave,
+} from "./visualizerStyles.js";
 
 /**
- * Extracts frequency bands from the audio array for varied visualization
- * @param {Array<number>} audioArray - Array of audio frequency levels (0-1)
+ * Averages the spectrum per frequency band for varied visualization
+ * @param {Object} spectrum - Result of analyzeSpectrum
  * @returns {Object} Object with bass, mids, highs, and overall properties
  */
-export function extractAudioBands(audioArray) {
-  const len = audioArray.length;
-  const bassEnd = Math.floor(len * 0.25); // First 25%: bass (0-250 Hz range)
-  const midsEnd = Math.floor(len * 0.75); // Next 50%: mids (250-1500 Hz range)
+export function extractAudioBands(spectrum) {
+  const sums = { bass: 0, mids: 0, highs: 0 };
+  const counts = { bass: 0, mids: 0, highs: 0 };
+  let overallSum = 0;
 
-  let bassSum = 0,
-    midsSum = 0,
-    highsSum = 0,
-    overallSum = 0;
+  spectrum.levels.forEach((level, i) => {
+    sums[spectrum.bands[i]] += level;
+    counts[spectrum.bands[i]]++;
+    overallSum += level;
+  });
 
-  for (let i = 0; i < len; i++) {
-    overallSum += audioArray[i];
+  // A crossover at the edge of the range can leave a band empty
+  const average = (band) => (counts[band] ? sums[band] / counts[band] : 0);
+  return {
+    bass: average("bass"),
+    mids: average("mids"),
+    highs: average("highs"),
+    overall: spectrum.levels.length ? overallSum / spectrum.levels.length : 0,
+  };
+}
 
-    if (i < bassEnd) {
-      bassSum += audioArray[i];
-    } else if (i < midsEnd) {
-      midsSum += audioArray[i];
-    } else {
-      highsSum += audioArray[i];
-    }
+/**
+ * Turns the spectrum into one level per point, minLevel lifting any sound
+ * The extra last level closes the final segment
+ */
+function computeLevels(audioArray, state) {
+  const levels = new Array(audioArray.length + 1).fill(0);
+  for (let i = 0; i < audioArray.length; i++) {
+    levels[i] = Math.min(
+      audioArray[i] == 0 ? audioArray[i] : audioArray[i] + state.minLevel,
+      1 + state.minLevel
+    );
   }
+  return levels;
+}
 
-  return {
-    bass: bassSum / bassEnd,
-    mids: midsSum / (midsEnd - bassEnd),
-    highs: highsSum / (len - midsEnd),
-    overall: overallSum / len,
-  };
+/**
+ * Tells whether a point is over the art on the line's side of it
+ */
+function isOverArt(point, side, art) {
+  return (
+    side.x * (point.x - art.x) < art.w && side.y * (point.y - art.y) < art.h
+  );
 }
 
 /**
- * Renders audio visualization waveforms for 4 lines
- * @param {Array<number>} audioArray - Array of audio frequency levels (0-1)
- * @param {Object} state - Application state object
- * @param {Object} lines - Line coordinate objects
+ * Builds the radial gradient of one wave segment
  */
-export function renderAudioVisualization(audioArray, state, lines) {
-  const TopCanvas = document.getElementById("TopCanvas");
-  const canvas = document.getElementById("canvas");
-  const tctx = TopCanvas.getContext("2d");
+function segmentGradient(tctx, p0, p1, level, inside, colors, state) {
+  const grt = tctx.createRadialGradient(
+    p0.x,
+    p0.y,
+    1,
+    p1.x,
+    p1.y,
+    state.maxLevel * 4
+  );
+  const fade = inside ? colors.insideFade : colors.outsideFade;
+  grt.addColorStop(0, state[inside ? colors.inside : colors.outside]);
+  if (fade !== null) {
+    grt.addColorStop(
+      Math.min(1, fade * level),
+      colorWithAlpha(state.backgroundColor, 0)
+    );
+  }
+  return grt;
+}
 
-  const centerX = SCALE.imgCenterX * canvas.width;
-  const centerY = SCALE.imgCenterY * canvas.height;
-  const centerRadius = {
-    w: SCALE.imgRadius * canvas.width,
-    h: SCALE.imgRadiusY * canvas.height,
-  };
-  const isLineInner = { l1: false, l2: false, l3: false, l4: false };
+/**
+ * Draws one wave segment bulging in the given direction
+ * @param {Object} [start] - Point the wave starts from when entering or leaving the art
+ */
+function drawWave(tctx, p0, p1, l0, l1, dir, start, state) {
+  const reach = state.maxLevel;
+  const soft = state.maxLevel * state.smoothing;
 
-  let isCurrentAudioActive = audioArray.some((level) => level > 0);
-  if (isCurrentAudioActive) {
-    state.isAudioActive = true;
-    tctx.clearRect(0, 0, canvas.width, canvas.height);
+  if (start) {
+    tctx.lineTo(start.x, start.y);
   } else {
-    state.isAudioActive = false;
+    tctx.lineTo(p0.x + dir.x * l0 * reach, p0.y + dir.y * l0 * reach);
   }
+  tctx.bezierCurveTo(
+    p1.x + dir.x * l1 * soft,
+    p1.y + dir.y * l1 * soft,
+    p0.x + dir.x * l0 * soft,
+    p0.y + dir.y * l0 * soft,
+    p1.x + dir.x * l1 * reach,
+    p1.y + dir.y * l1 * reach
+  );
+  tctx.lineTo(p1.x, p1.y);
+}
 
-  if (!state.isAudioActive) {
-    return;
+/**
+ * Draws a peak marker where the wave's tip was at its highest
+ */
+function drawPeak(tctx, p, peak, dir, color) {
+  tctx.fillStyle = color;
+  tctx.beginPath();
+  tctx.arc(
+    p.x + dir.x * peak,
+    p.y + dir.y * peak,
+    AUDIO_ENVELOPE.peakSize,
+    0,
+    Math.PI * 2
+  );
+  tctx.fill();
+}
+
+/**
+ * Draws segment i of one visualizer line's waveform
+ * Over the art the waves bulge in the line's direction, elsewhere the other way
+ * @param {Object} def - Line definition from VISUALIZER_LINES
+ * @param {Object} line - Line endpoints {a, b} in pixels, isInner tracks the art crossing
+ */
+function drawSegment(tctx, def, line, i, levels, peaks, bands, art, state) {
+  const len = levels.length - 1;
+  const pointAt = (j) => ({
+    x: line.a.x + (j * (line.b.x - line.a.x)) / len,
+    y: line.a.y + (j * (line.b.y - line.a.y)) / len,
+  });
+  const p0 = pointAt(i);
+  const p1 = pointAt(i + 1);
+  const l0 = levels[i] * def.weights[bands[i]];
+  const l1 = levels[i + 1] * def.weights[bands[i + 1]];
+  const inside = isOverArt(p0, def.side, art);
+  // The wave bulges by where the segment ends up, so does its peak marker
+  const entering = isOverArt(p1, def.side, art);
+  const dir = entering
+    ? def.direction
+    : { x: -def.direction.x, y: -def.direction.y };
+
+  tctx.fillStyle = segmentGradient(tctx, p0, p1, l0, inside, def.colors, state);
+  tctx.beginPath();
+  tctx.moveTo(p0.x + def.anchor.x, p0.y + def.anchor.y);
+
+  if (entering) {
+    // Entering the art: start from its edge on the line's side
+    const start = line.isInner
+      ? null
+      : { x: art.x + def.side.x * art.w, y: art.y };
+    line.isInner = true;
+    drawWave(tctx, p0, p1, l0, l1, dir, start, state);
+  } else {
+    // Leaving the art: start from its tip on the line's side
+    const start = line.isInner
+      ? { x: art.x, y: art.y + def.side.y * art.h }
+      : null;
+    line.isInner = false;
+    drawWave(tctx, p0, p1, l0, l1, dir, start, state);
   }
 
-  const len = audioArray.length;
-  const bassEnd = Math.floor(len * 0.25);
-  const midsEnd = Math.floor(len * 0.75);
+  tctx.fill();
+  tctx.closePath();
 
+  // Silent points have no peak to mark
+  if (peaks && peaks[i] > 0) {
+    const color = state[entering ? def.colors.inside : def.colors.outside];
+    const peak = peaks[i] * def.weights[bands[i]] * state.maxLevel;
+    drawPeak(tctx, p0, peak, dir, color);
+  }
+}
+
+/**
+ * Redraws the album art diamond from the main canvas, scaled about its centre
+ */
+function drawArtPulse(tctx, canvas, scale) {
+  const cx = SCALE.imgCenterX * canvas.width;
+  const cy = SCALE.imgCenterY * canvas.height;
+  const w = SCALE.imgWidth * canvas.width;
+  const h = SCALE.imgHeight * canvas.height;
+
+  tctx.save();
   tctx.beginPath();
-  var nextLevel;
-  var grt;
+  tctx.moveTo(cx, cy - (h * scale) / 2);
+  tctx.lineTo(cx + (w * scale) / 2, cy);
+  tctx.lineTo(cx, cy + (h * scale) / 2);
+  tctx.lineTo(cx - (w * scale) / 2, cy);
+  tctx.closePath();
+  tctx.clip();
+  tctx.drawImage(
+    canvas,
+    cx - w / 2,
+    cy - h / 2,
+    w,
+    h,
+    cx - (w * scale) / 2,
+    cy - (h * scale) / 2,
+    w * scale,
+    h * scale
+  );
+  tctx.restore();
+}
 
-  for (var i = 0; i < audioArray.length; i++) {
-    var level =
-      i == 0
-        ? Math.min(
-            audioArray[i] == 0 ? audioArray[i] : audioArray[i] + state.minLevel,
-            1 + state.minLevel
-          )
-        : nextLevel;
-    var nextLevel = Math.min(
-      audioArray[i + 1] == 0
-        ? audioArray[i + 1]
-        : audioArray[i + 1] + state.minLevel,
-      1 + state.minLevel
-    );
+/**
+ * Strokes the decorative lines again in lineColor, brighter and wider with the flash
+ */
+function drawLineFlash(tctx, lines, flash, state) {
+  tctx.save();
+  tctx.strokeStyle = colorWithAlpha(state.lineColor, flash);
+  tctx.lineWidth = 2 + BEAT_DETECTION.lineWidth * flash;
+  tctx.beginPath();
+  for (const line of lines) {
+    tctx.moveTo(line.a.x, line.a.y);
+    tctx.lineTo(line.b.x, line.b.y);
+  }
+  tctx.stroke();
+  tctx.restore();
+}
+
+/**
+ * Draws the gradient waves, one per line of VISUALIZER_LINES
+ * @param {Object} frame - {canvas, lines, levels, peaks, bands}, see renderAudioVisualization
+ */
+function drawWaves(tctx, frame, state) {
+  const { canvas, lines, levels, peaks, bands } = frame;
+  const art = {
+    x: SCALE.imgCenterX * canvas.width,
+    y: SCALE.imgCenterY * canvas.height,
+    w: SCALE.imgRadius * canvas.width,
+    h: SCALE.imgRadiusY * canvas.height,
+  };
 
-    // LINE 1 - Bass frequencies (left-bottom direction)
-    var line1Level = level;
-    if (i < bassEnd) {
-      line1Level = level * 1.2;
-    } else if (i > midsEnd) {
-      line1Level = level * 0.4;
-    } else {
-      line1Level = level * 0.7;
-    }
-    var line1NextLevel = nextLevel;
-    if (i + 1 < bassEnd) {
-      line1NextLevel = nextLevel * 1.2;
-    } else if (i + 1 > midsEnd) {
-      line1NextLevel = nextLevel * 0.4;
-    } else {
-      line1NextLevel = nextLevel * 0.7;
-    }
+  lines.forEach((line) => (line.isInner = false));
 
-    var xOffset = [
-      (i * (lines.line1B.x - lines.line1A.x)) / audioArray.length +
-        lines.line1A.x,
-      ((i + 1) * (lines.line1B.x - lines.line1A.x)) / audioArray.length +
-        lines.line1A.x,
-    ];
-    var yOffset = [
-      i * ((lines.line1B.y - lines.line1A.y) / audioArray.length) +
-        lines.line1A.y,
-      (i + 1) * ((lines.line1B.y - lines.line1A.y) / audioArray.length) +
-        lines.line1A.y,
-    ];
-    if (
-      xOffset[0] > centerX - centerRadius.w &&
-      yOffset[0] < centerY + centerRadius.h
-    ) {
-      grt = tctx.createRadialGradient(
-        xOffset[0],
-        yOffset[0],
-        1,
-        xOffset[1],
-        yOffset[1],
-        state.maxLevel * 4
-      );
-      grt.addColorStop(0, state.primaryColor);
-      grt.addColorStop(
-        0.5 * line1Level,
-        colorWithAlpha(state.backgroundColor, 0)
-      );
-    } else {
-      grt = tctx.createRadialGradient(
-        xOffset[0],
-        yOffset[0],
-        1,
-        xOffset[1],
-        yOffset[1],
-        state.maxLevel * 4
-      );
-      grt.addColorStop(0, state.secondaryColor);
-    }
-    tctx.fillStyle = grt;
-    tctx.beginPath();
-    tctx.moveTo(xOffset[0] - 4, yOffset[0] - 4);
-    if (
-      xOffset[1] > centerX - centerRadius.w &&
-      yOffset[1] < centerY + centerRadius.h
-    ) {
-      if (!isLineInner.l1) {
-        isLineInner.l1 = true;
-        tctx.lineTo(centerX - centerRadius.w, centerY);
-        tctx.bezierCurveTo(
-          xOffset[1] - line1NextLevel * state.maxLevel * state.smoothing,
-          yOffset[1] + line1NextLevel * state.maxLevel * state.smoothing,
-          xOffset[0] - line1Level * state.maxLevel * state.smoothing,
-          yOffset[0] + line1Level * state.maxLevel * state.smoothing,
-          xOffset[1] - line1NextLevel * state.maxLevel,
-          yOffset[1] + line1NextLevel * state.maxLevel
-        );
-        tctx.lineTo(xOffset[1], yOffset[1]);
-      } else {
-        tctx.lineTo(
-          xOffset[0] - line1Level * state.maxLevel,
-          yOffset[0] + line1Level * state.maxLevel
-        );
-        tctx.bezierCurveTo(
-          xOffset[1] - line1NextLevel * state.maxLevel * state.smoothing,
-          yOffset[1] + line1NextLevel * state.maxLevel * state.smoothing,
-          xOffset[0] - line1Level * state.maxLevel * state.smoothing,
-          yOffset[0] + line1Level * state.maxLevel * state.smoothing,
-          xOffset[1] - line1NextLevel * state.maxLevel,
-          yOffset[1] + line1NextLevel * state.maxLevel
-        );
-        tctx.lineTo(xOffset[1], yOffset[1]);
-      }
-    } else {
-      if (isLineInner.l1) {
-        isLineInner.l1 = false;
-        tctx.lineTo(centerX, centerY + centerRadius.h);
-        tctx.bezierCurveTo(
-          xOffset[1] + line1NextLevel * state.maxLevel * state.smoothing,
-          yOffset[1] - line1NextLevel * state.maxLevel * state.smoothing,
-          xOffset[0] + line1Level * state.maxLevel * state.smoothing,
-          yOffset[0] - line1Level * state.maxLevel * state.smoothing,
-          xOffset[1] + line1NextLevel * state.maxLevel,
-          yOffset[1] - line1NextLevel * state.maxLevel
-        );
-        tctx.lineTo(xOffset[1], yOffset[1]);
-      } else {
-        tctx.lineTo(
-          xOffset[0] + line1Level * state.maxLevel,
-          yOffset[0] - line1Level * state.maxLevel
-        );
-        tctx.bezierCurveTo(
-          xOffset[1] + line1NextLevel * state.maxLevel * state.smoothing,
-          yOffset[1] - line1NextLevel * state.maxLevel * state.smoothing,
-          xOffset[0] + line1Level * state.maxLevel * state.smoothing,
-          yOffset[0] - line1Level * state.maxLevel * state.smoothing,
-          xOffset[1] + line1NextLevel * state.maxLevel,
-          yOffset[1] - line1NextLevel * state.maxLevel
-        );
-        tctx.lineTo(xOffset[1], yOffset[1]);
-      }
-    }
-    tctx.fill();
-    tctx.closePath();
+  // Segment by segment across all lines, so crossing lines overlap evenly
+  for (let i = 0; i < levels.length - 1; i++) {
+    VISUALIZER_LINES.forEach((def, j) => {
+      if (lines[j])
+        drawSegment(tctx, def, lines[j], i, levels, peaks, bands, art, state);
+    });
+  }
+}
 
-    // LINE 2 - Mid frequencies (right-top direction)
-    var line2Level = level;
-    if (i < bassEnd) {
-      line2Level = level * 0.5;
-    } else if (i > midsEnd) {
-      line2Level = level * 0.5;
-    } else {
-      line2Level = level * 1.1;
-    }
-    var line2NextLevel = nextLevel;
-    if (i + 1 < bassEnd) {
-      line2NextLevel = nextLevel * 0.5;
-    } else if (i + 1 > midsEnd) {
-      line2NextLevel = nextLevel * 0.5;
-    } else {
-      line2NextLevel = nextLevel * 1.1;
-    }
+/**
+ * Renderer of each visualizer style, see VISUALIZER_STYLES
+ */
+const STYLE_RENDERERS = {
+  waves: drawWaves,
+  bars: drawBars,
+  diamond: drawDiamondOutline,
+  radial: drawRadial,
+  mirror: drawMirroredWave,
+};
 
-    xOffset = [
-      (i * (lines.line2B.x - lines.line2A.x)) / audioArray.length +
-        lines.line2A.x,
-      ((i + 1) * (lines.line2B.x - lines.line2A.x)) / audioArray.length +
-        lines.line2A.x,
-    ];
-    yOffset = [
-      i * ((lines.line2B.y - lines.line2A.y) / audioArray.length) +
-        lines.line2A.y,
-      (i + 1) * ((lines.line2B.y - lines.line2A.y) / audioArray.length) +
-        lines.line2A.y,
-    ];
-    if (
-      xOffset[0] < centerX + centerRadius.w &&
-      yOffset[0] > centerY - centerRadius.h
-    ) {
-      grt = tctx.createRadialGradient(
-        xOffset[0],
-        yOffset[0],
-        1,
-        xOffset[1],
-        yOffset[1],
-        state.maxLevel * 4
-      );
-      grt.addColorStop(0 * line2Level, state.primaryColor);
-      grt.addColorStop(
-        0.5 * line2Level,
-        colorWithAlpha(state.backgroundColor, 0)
-      );
-    } else {
-      grt = tctx.createRadialGradient(
-        xOffset[0],
-        yOffset[0],
-        1,
-        xOffset[1],
-        yOffset[1],
-        state.maxLevel * 4
-      );
-      grt.addColorStop(0 * line2Level, state.secondaryColor);
-      grt.addColorStop(
-        0.5 * line2Level,
-        colorWithAlpha(state.backgroundColor, 0)
-      );
-    }
-    tctx.fillStyle = grt;
-    tctx.beginPath();
-    tctx.moveTo(xOffset[0] - 4, yOffset[0] - 4);
-    if (
-      xOffset[1] < centerX + centerRadius.w &&
-      yOffset[1] > centerY - centerRadius.h
-    ) {
-      if (!isLineInner.l2) {
-        isLineInner.l2 = true;
-        tctx.lineTo(centerX + centerRadius.w, centerY);
-        tctx.bezierCurveTo(
-          xOffset[1] + line2NextLevel * state.maxLevel * state.smoothing,
-          yOffset[1] - line2NextLevel * state.maxLevel * state.smoothing,
-          xOffset[0] + line2Level * state.maxLevel * state.smoothing,
-          yOffset[0] - line2Level * state.maxLevel * state.smoothing,
-          xOffset[1] + line2NextLevel * state.maxLevel,
-          yOffset[1] - line2NextLevel * state.maxLevel
-        );
-        tctx.lineTo(xOffset[1], yOffset[1]);
-      } else {
-        tctx.lineTo(
-          xOffset[0] + line2Level * state.maxLevel,
-          yOffset[0] - line2Level * state.maxLevel
-        );
-        tctx.bezierCurveTo(
-          xOffset[1] + line2NextLevel * state.maxLevel * state.smoothing,
-          yOffset[1] - line2NextLevel * state.maxLevel * state.smoothing,
-          xOffset[0] + line2Level * state.maxLevel * state.smoothing,
-          yOffset[0] - line2Level * state.maxLevel * state.smoothing,
-          xOffset[1] + line2NextLevel * state.maxLevel,
-          yOffset[1] - line2NextLevel * state.maxLevel
-        );
-        tctx.lineTo(xOffset[1], yOffset[1]);
-      }
-    } else {
-      if (isLineInner.l2) {
-        isLineInner.l2 = false;
-        tctx.lineTo(centerX, centerY - centerRadius.h);
-        tctx.bezierCurveTo(
-          xOffset[1] - line2NextLevel * state.maxLevel * state.smoothing,
-          yOffset[1] + line2NextLevel * state.maxLevel * state.smoothing,
-          xOffset[0] - line2Level * state.maxLevel * state.smoothing,
-          yOffset[0] + line2Level * state.maxLevel * state.smoothing,
-          xOffset[1] - line2NextLevel * state.maxLevel,
-          yOffset[1] + line2NextLevel * state.maxLevel
-        );
-        tctx.lineTo(xOffset[1], yOffset[1]);
-      } else {
-        tctx.lineTo(
-          xOffset[0] - line2Level * state.maxLevel,
-          yOffset[0] + line2Level * state.maxLevel
-        );
-        tctx.bezierCurveTo(
-          xOffset[1] - line2NextLevel * state.maxLevel * state.smoothing,
-          yOffset[1] + line2NextLevel * state.maxLevel * state.smoothing,
-          xOffset[0] - line2Level * state.maxLevel * state.smoothing,
-          yOffset[0] + line2Level * state.maxLevel * state.smoothing,
-          xOffset[1] - line2NextLevel * state.maxLevel,
-          yOffset[1] + line2NextLevel * state.maxLevel
-        );
-        tctx.lineTo(xOffset[1], yOffset[1]);
-      }
-    }
-    tctx.fill();
-    tctx.closePath();
+/**
+ * Renders the audio visualization in the chosen style
+ * Levels are smoothed over time first, see applyEnvelope
+ * The last beat pulses the art and flashes the lines, see beatPulse
+ * @param {Object} spectrum - Result of analyzeSpectrum
+ * @param {Object} state - Application state object, visualizerStyle picks the renderer
+ * @param {Array<Object>} lines - Line endpoints, see app.js
+ */
+export function renderAudioVisualization(spectrum, state, lines) {
+  const TopCanvas = document.getElementById("TopCanvas");
+  const canvas = document.getElementById("canvas");
+  const tctx = TopCanvas.getContext("2d");
 
-    // LINE 3 - High frequencies (left-top direction)
-    var line3Level = level;
-    if (i < bassEnd) {
-      line3Level = level * 0.3;
-    } else if (i > midsEnd) {
-      line3Level = level * 1.3;
-    } else {
-      line3Level = level * 0.6;
-    }
-    var line3NextLevel = nextLevel;
-    if (i + 1 < bassEnd) {
-      line3NextLevel = nextLevel * 0.3;
-    } else if (i + 1 > midsEnd) {
-      line3NextLevel = nextLevel * 1.3;
-    } else {
-      line3NextLevel = nextLevel * 0.6;
-    }
+  const smoothed = applyEnvelope(spectrum, state);
 
-    xOffset = [
-      (i * (lines.line3B.x - lines.line3A.x)) / audioArray.length +
-        lines.line3A.x,
-      ((i + 1) * (lines.line3B.x - lines.line3A.x)) / audioArray.length +
-        lines.line3A.x,
-    ];
-    yOffset = [
-      i * ((lines.line3B.y - lines.line3A.y) / audioArray.length) +
-        lines.line3A.y,
-      (i + 1) * ((lines.line3B.y - lines.line3A.y) / audioArray.length) +
-        lines.line3A.y,
-    ];
-    if (
-      xOffset[0] > centerX - centerRadius.w &&
-      yOffset[0] > centerY - centerRadius.h
-    ) {
-      grt = tctx.createRadialGradient(
-        xOffset[0],
-        yOffset[0],
-        1,
-        xOffset[1],
-        yOffset[1],
-        state.maxLevel * 4
-      );
-      grt.addColorStop(0 * line3Level, state.primaryColor);
-      grt.addColorStop(
-        0.5 * line3Level,
-        colorWithAlpha(state.backgroundColor, 0)
-      );
-    } else {
-      grt = tctx.createRadialGradient(
-        xOffset[0],
-        yOffset[0],
-        1,
-        xOffset[1],
-        yOffset[1],
-        state.maxLevel * 4
-      );
-      grt.addColorStop(0 * line3Level, state.secondaryColor);
-      grt.addColorStop(
-        0.5 * line3Level,
-        colorWithAlpha(state.backgroundColor, 0)
-      );
-    }
-    tctx.fillStyle = grt;
-    tctx.beginPath();
-    tctx.moveTo(xOffset[0] + 4, yOffset[0] - 4);
-    if (
-      xOffset[1] > centerX - centerRadius.w &&
-      yOffset[1] > centerY - centerRadius.h
-    ) {
-      if (!isLineInner.l3) {
-        isLineInner.l3 = true;
-        tctx.lineTo(centerX - centerRadius.w, centerY);
-        tctx.bezierCurveTo(
-          xOffset[1] - line3NextLevel * state.maxLevel * state.smoothing,
-          yOffset[1] - line3NextLevel * state.maxLevel * state.smoothing,
-          xOffset[0] - line3Level * state.maxLevel * state.smoothing,
-          yOffset[0] - line3Level * state.maxLevel * state.smoothing,
-          xOffset[1] - line3NextLevel * state.maxLevel,
-          yOffset[1] - line3NextLevel * state.maxLevel
-        );
-        tctx.lineTo(xOffset[1], yOffset[1]);
-      } else {
-        tctx.lineTo(
-          xOffset[0] - line3Level * state.maxLevel,
-          yOffset[0] - line3Level * state.maxLevel
-        );
-        tctx.bezierCurveTo(
-          xOffset[1] - line3NextLevel * state.maxLevel * state.smoothing,
-          yOffset[1] - line3NextLevel * state.maxLevel * state.smoothing,
-          xOffset[0] - line3Level * state.maxLevel * state.smoothing,
-          yOffset[0] - line3Level * state.maxLevel * state.smoothing,
-          xOffset[1] - line3NextLevel * state.maxLevel,
-          yOffset[1] - line3NextLevel * state.maxLevel
-        );
-        tctx.lineTo(xOffset[1], yOffset[1]);
-      }
-    } else {
-      if (isLineInner.l3) {
-        isLineInner.l3 = false;
-        tctx.lineTo(centerX, centerY - centerRadius.h);
-        tctx.bezierCurveTo(
-          xOffset[1] + line3NextLevel * state.maxLevel * state.smoothing,
-          yOffset[1] + line3NextLevel * state.maxLevel * state.smoothing,
-          xOffset[0] + line3Level * state.maxLevel * state.smoothing,
-          yOffset[0] + line3Level * state.maxLevel * state.smoothing,
-          xOffset[1] + line3NextLevel * state.maxLevel,
-          yOffset[1] + line3NextLevel * state.maxLevel
-        );
-        tctx.lineTo(xOffset[1], yOffset[1]);
-      } else {
-        tctx.lineTo(
-          xOffset[0] + line3Level * state.maxLevel,
-          yOffset[0] + line3Level * state.maxLevel
-        );
-        tctx.bezierCurveTo(
-          xOffset[1] + line3NextLevel * state.maxLevel * state.smoothing,
-          yOffset[1] + line3NextLevel * state.maxLevel * state.smoothing,
-          xOffset[0] + line3Level * state.maxLevel * state.smoothing,
-          yOffset[0] + line3Level * state.maxLevel * state.smoothing,
-          xOffset[1] + line3NextLevel * state.maxLevel,
-          yOffset[1] + line3NextLevel * state.maxLevel
-        );
-        tctx.lineTo(xOffset[1], yOffset[1]);
-      }
-    }
-    tctx.fill();
-    tctx.closePath();
+  // Checked after smoothing so the release fades out before the canvas freezes,
+  // shown peak markers keep it going until they have fallen too
+  let isCurrentAudioActive =
+    smoothed.levels.some((level) => level > 0) ||
+    (state.peakHold && smoothed.peaks.some((peak) => peak > 0));
+  if (isCurrentAudioActive || state.isAudioActive) {
+    // The frame going silent is cleared too, so no faded markers stay behind
+    tctx.clearRect(0, 0, canvas.width, canvas.height);
+  }
+  state.isAudioActive = isCurrentAudioActive;
+
+  if (!state.isAudioActive) {
+    return;
+  }
+
+  const levels = computeLevels(smoothed.levels, state);
+  const peaks = state.peakHold ? computeLevels(smoothed.peaks, state) : null;
+  const bands = [...smoothed.bands, smoothed.bands[smoothed.bands.length - 1]];
+
+  const pulse = beatPulse(state);
+  if (
+    pulse > 0 &&
+    state.beatArtPulse > 0 &&
+    state.displayMusicArt &&
+    state.image
+  ) {
+    drawArtPulse(
+      tctx,
+      canvas,
+      1 + BEAT_DETECTION.artScale * state.beatArtPulse * pulse
+    );
+  }
 
-    // LINE 4 - Overall spectrum (right-bottom direction)
-    var line4Level = level;
-    var line4NextLevel = nextLevel;
+  const draw = STYLE_RENDERERS[state.visualizerStyle] || drawWaves;
+  draw(tctx, { canvas, lines, levels, peaks, bands }, state);
 
-    xOffset = [
-      (i * (lines.line4B.x - lines.line4A.x)) / audioArray.length +
-        lines.line4A.x,
-      ((i + 1) * (lines.line4B.x - lines.line4A.x)) / audioArray.length +
-        lines.line4A.x,
-    ];
-    yOffset = [
-      i * ((lines.line4B.y - lines.line4A.y) / audioArray.length) +
-        lines.line4A.y,
-      (i + 1) * ((lines.line4B.y - lines.line4A.y) / audioArray.length) +
-        lines.line4A.y,
-    ];
-    if (
-      xOffset[0] < centerX + centerRadius.w &&
-      yOffset[0] < centerY + centerRadius.h
-    ) {
-      grt = tctx.createRadialGradient(
-        xOffset[0],
-        yOffset[0],
-        1,
-        xOffset[1],
-        yOffset[1],
-        state.maxLevel * 4
-      );
-      grt.addColorStop(0 * line4Level, state.primaryColor);
-      grt.addColorStop(
-        0.5 * line4Level,
-        colorWithAlpha(state.backgroundColor, 0)
-      );
-    } else {
-      grt = tctx.createRadialGradient(
-        xOffset[0],
-        yOffset[0],
-        1,
-        xOffset[1],
-        yOffset[1],
-        state.maxLevel * 4
-      );
-      grt.addColorStop(0 * line4Level, state.secondaryColor);
-      grt.addColorStop(
-        0.5 * line4Level,
-        colorWithAlpha(state.backgroundColor, 0)
-      );
-    }
-    tctx.fillStyle = grt;
-    tctx.beginPath();
-    tctx.moveTo(xOffset[0] + 4, yOffset[0] - 4);
-    if (
-      xOffset[1] < centerX + centerRadius.w &&
-      yOffset[1] < centerY + centerRadius.h
-    ) {
-      if (!isLineInner.l4) {
-        isLineInner.l4 = true;
-        tctx.lineTo(centerX + centerRadius.w, centerY);
-        tctx.bezierCurveTo(
-          xOffset[1] + line4NextLevel * state.maxLevel * state.smoothing,
-          yOffset[1] + line4NextLevel * state.maxLevel * state.smoothing,
-          xOffset[0] + line4Level * state.maxLevel * state.smoothing,
-          yOffset[0] + line4Level * state.maxLevel * state.smoothing,
-          xOffset[1] + line4NextLevel * state.maxLevel,
-          yOffset[1] + line4NextLevel * state.maxLevel
-        );
-        tctx.lineTo(xOffset[1], yOffset[1]);
-      } else {
-        tctx.lineTo(
-          xOffset[0] + line4Level * state.maxLevel,
-          yOffset[0] + line4Level * state.maxLevel
-        );
-        tctx.bezierCurveTo(
-          xOffset[1] + line4NextLevel * state.maxLevel * state.smoothing,
-          yOffset[1] + line4NextLevel * state.maxLevel * state.smoothing,
-          xOffset[0] + line4Level * state.maxLevel * state.smoothing,
-          yOffset[0] + line4Level * state.maxLevel * state.smoothing,
-          xOffset[1] + line4NextLevel * state.maxLevel,
-          yOffset[1] + line4NextLevel * state.maxLevel
-        );
-        tctx.lineTo(xOffset[1], yOffset[1]);
-      }
-    } else {
-      if (isLineInner.l4) {
-        isLineInner.l4 = false;
-        tctx.lineTo(centerX, centerY + centerRadius.h);
-        tctx.bezierCurveTo(
-          xOffset[1] - line4NextLevel * state.maxLevel * state.smoothing,
-          yOffset[1] - line4NextLevel * state.maxLevel * state.smoothing,
-          xOffset[0] - line4Level * state.maxLevel * state.smoothing,
-          yOffset[0] - line4Level * state.maxLevel * state.smoothing,
-          xOffset[1] - line4NextLevel * state.maxLevel,
-          yOffset[1] - line4NextLevel * state.maxLevel
-        );
-        tctx.lineTo(xOffset[1], yOffset[1]);
-      } else {
-        tctx.lineTo(
-          xOffset[0] - line4Level * state.maxLevel,
-          yOffset[0] - line4Level * state.maxLevel
-        );
-        tctx.bezierCurveTo(
-          xOffset[1] - line4NextLevel * state.maxLevel * state.smoothing,
-          yOffset[1] - line4NextLevel * state.maxLevel * state.smoothing,
-          xOffset[0] - line4Level * state.maxLevel * state.smoothing,
-          yOffset[0] - line4Level * state.maxLevel * state.smoothing,
-          xOffset[1] - line4NextLevel * state.maxLevel,
-          yOffset[1] - line4NextLevel * state.maxLevel
-        );
-        tctx.lineTo(xOffset[1], yOffset[1]);
-      }
-    }
-    tctx.fill();
-    tctx.closePath();
+  if (pulse > 0 && state.beatLineFlash > 0) {
+    drawLineFlash(tctx, lines, pulse * state.beatLineFlash, state);
   }
 }
@@ -0,0 +1,121 @@
+/**
+ * Beat Detection
+ * Finds onsets in the spectral flux of the audio frames and estimates the tempo
+ */
+
+import { BEAT_DETECTION } from "./config.js";
+
+/**
+ * Detector memory: last frame's levels, recent flux values and recent beat times
+ */
+const detector = { levels: [], history: [], beats: [], lastBeat: -Infinity };
+
+/**
+ * Sums how much each band got louder since the last frame, per band
+ * A new band count starts over, bands at the same index no longer match
+ */
+function spectralFlux(levels) {
+  if (detector.levels.length !== levels.length) {
+    detector.levels = levels;
+    return 0;
+  }
+
+  let flux = 0;
+  levels.forEach((level, i) => {
+    flux += Math.max(0, level - (detector.levels[i] || 0));
+  });
+  detector.levels = levels;
+  return levels.length ? flux / levels.length : 0;
+}
+
+/**
+ * Mean and standard deviation of the recent flux values
+ */
+function fluxStatistics() {
+  const values = detector.history.map((entry) => entry.flux);
+  const mean = values.reduce((sum, v) => sum + v, 0) / (values.length || 1);
+  const variance =
+    values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) /
+    (values.length || 1);
+  return { mean, deviation: Math.sqrt(variance) };
+}
+
+/**
+ * Estimates the tempo from the intervals between recent beats
+ * Each interval is folded into the BPM range, then the most common tempo wins
+ * @returns {number|null} Beats per minute, null until enough beats were heard
+ */
+function estimateTempo() {
+  if (detector.beats.length < BEAT_DETECTION.minBeats) return null;
+
+  const votes = new Map();
+  for (let i = 1; i < detector.beats.length; i++) {
+    let bpm = 60000 / (detector.beats[i] - detector.beats[i - 1]);
+    while (bpm < BEAT_DETECTION.minBpm) bpm *= 2;
+    while (bpm > BEAT_DETECTION.maxBpm) bpm /= 2;
+    const rounded = Math.round(bpm);
+    // Neighbouring tempos share the vote so jitter does not split it
+    for (let near = rounded - 1; near <= rounded + 1; near++) {
+      votes.set(near, (votes.get(near) || 0) + (near === rounded ? 2 : 1));
+    }
+  }
+
+  let best = null;
+  votes.forEach((count, bpm) => {
+    if (!best || count > best.count) best = { bpm, count };
+  });
+  return best.bpm;
+}
+
+/**
+ * Feeds one audio frame to the detector
+ * A beat is a flux above the recent mean by a number of standard deviations set by beatSensitivity
+ * @param {Object} spectrum - Result of analyzeSpectrum, before any smoothing
+ * @param {Object} state - Application state, reads beatSensitivity
+ * @param {number} [now] - Frame time in milliseconds
+ * @returns {Object|null} {time, strength, bpm} on a beat, otherwise null
+ */
+export function detectBeat(spectrum, state, now = performance.now()) {
+  const flux = spectralFlux(spectrum.levels);
+
+  detector.history = detector.history.filter(
+    (entry) => now - entry.time < BEAT_DETECTION.window
+  );
+  const { mean, deviation } = fluxStatistics();
+  detector.history.push({ time: now, flux });
+
+  const threshold =
+    mean +
+    deviation * BEAT_DETECTION.maxDeviation * (1 - state.beatSensitivity) +
+    BEAT_DETECTION.minFlux;
+  if (flux < threshold || now - detector.lastBeat < BEAT_DETECTION.minInterval)
+    return null;
+
+  detector.lastBeat = now;
+  detector.beats = detector.beats.filter(
+    (time) => now - time < BEAT_DETECTION.tempoWindow
+  );
+  detector.beats.push(now);
+
+  return {
+    time: now,
+    strength: Math.min(1, 0.5 + (flux - threshold) / threshold),
+    bpm: estimateTempo(),
+  };
+}
+
+/**
+ * How strongly the last beat is still felt, fading faster for quicker tempos
+ * @param {Object} state - Application state, reads lastBeat and bpm
+ * @param {number} [now] - Frame time in milliseconds
+ * @returns {number} Pulse from 0 to 1
+ */
+export function beatPulse(state, now = performance.now()) {
+  if (!state.lastBeat) return 0;
+
+  const decay = state.bpm
+    ? Math.min(BEAT_DETECTION.decay, 30000 / state.bpm)
+    : BEAT_DETECTION.decay;
+  const remaining = 1 - (now - state.lastBeat.time) / decay;
+  return remaining > 0 ? state.lastBeat.strength * remaining * remaining : 0;
+}
@@ -225,12 +225,18 @@ export function setDynamicColors(state) {
 
     document.getElementById("track-title").style.color = contrastColor;
     document.getElementById("track-artist").style.color = contrastColor;
+    document
+      .getElementById("lyrics-container")
+      .style.setProperty("--active-color", contrastColor);
     state.lineColor = contrastColor;
   } else {
     state.backgroundColor = state.defaultBackgroundColor;
     document.getElementById("track-title").style.color = state.defaultLineColor;
     document.getElementById("track-artist").style.color =
       state.defaultLineColor;
+    document
+      .getElementById("lyrics-container")
+      .style.setProperty("--active-color", state.defaultLineColor);
     state.lineColor = state.defaultLineColor;
   }
 
@@ -238,4 +244,16 @@ export function setDynamicColors(state) {
     state.primaryColor = state.defaultPrimaryColor;
     state.secondaryColor = state.defaultSecondaryColor;
   }
+
+  setLyricsVoiceColors(state);
+}
+
+/**
+ * Colors duet lyrics, the first singer takes the primary color and the second the secondary
+ * @param {Object} state - Application state object
+ */
+export function setLyricsVoiceColors(state) {
+  const container = document.getElementById("lyrics-container");
+  container.style.setProperty("--voice-primary-color", state.primaryColor);
+  container.style.setProperty("--voice-secondary-color", state.secondaryColor);
 }
@@ -21,6 +21,150 @@ export const AUDIO_DEFAULTS = {
   minLevel: 0.03,
   maxLevel: 80,
   smoothing: 0.8,
+  spectrumScale: "mel",
+  spectrumBands: 128,
+  bassCrossover: 250, // Hz
+  highsCrossover: 4000, // Hz
+  attackTime: 40, // ms
+  releaseTime: 300, // ms
+  peakHold: false,
+  peakHoldTime: 600, // ms
+  peakDecay: 0.6, // Levels per second
+  beatSensitivity: 0.5,
+  beatArtPulse: 0, // Beat effect intensities, 0 turns the effect off
+  beatLineFlash: 0,
+  beatLyricGlow: 0,
+  visualizerStyle: "waves", // One of VISUALIZER_STYLES
+};
+
+export const AUDIO_ENVELOPE = {
+  silence: 0.001, // Smoothed levels below this are snapped to zero
+  peakSize: 2, // Peak marker radius in pixels
+};
+
+// Beat detection on the spectral flux, see beat.js
+export const BEAT_DETECTION = {
+  window: 1000, // ms of flux history the threshold adapts to
+  maxDeviation: 3, // Standard deviations above the mean at zero sensitivity
+  minFlux: 0.002, // Keeps near silence from triggering beats
+  minInterval: 250, // ms, shortest time between two beats
+  tempoWindow: 8000, // ms of beats the tempo is estimated from
+  minBeats: 4,
+  minBpm: 70,
+  maxBpm: 180,
+  decay: 300, // ms a beat effect takes to fade, shorter for fast tempos
+  artScale: 0.06, // Art grows by this fraction at full pulse
+  lineWidth: 6, // Extra line width in pixels at full flash
+};
+
+// Frequency range Lively's audio array is assumed to cover, bins spread linearly
+export const AUDIO_SPECTRUM = {
+  minFrequency: 20,
+  maxFrequency: 22050,
+};
+
+// Order matches the "spectrumScale" dropdown in LivelyProperties.json
+export const SPECTRUM_SCALES = ["linear", "log", "mel"];
+
+// ============================================
+// Lyrics Settings
+// ============================================
+export const LYRICS_DEFAULTS = {
+  providers: ["betterlyrics", "musixmatch", "lrclib", "genius"],
+  parallelSearch: false,
+  estimatePlainTiming: true,
+  offset: 0, // Milliseconds, positive shows lyrics earlier
+  layout: "full",
+  translationMode: "both",
+  romanize: { hangul: false, cyrillic: false },
+  minGap: 3, // Seconds, shorter instrumental gaps keep the previous line lit
+  gapPulse: false, // Gap indicator follows the audio level
+};
+
+// ============================================
+// Lyrics Network Settings
+// ============================================
+export const LYRICS_NETWORK = {
+  // CORS proxy tried when a direct request fails, {url} is the encoded target
+  // Empty by default, nothing goes through a third party unless the user sets one
+  proxy: "",
+  // Default base URLs, overridable per provider from the "lyricsEndpoints" setting
+  endpoints: {
+    betterlyrics: "https://api.betterlyrics.com",
+    musixmatch: "https://api.musixmatch.com/ws/1.1",
+    lrclib: "https://lrclib.net/api",
+    genius: "https://api.genius.com",
+  },
+};
+
+// Retries of lookups that failed on timeouts, 5xx or 429 responses
+export const LYRICS_RETRY = {
+  baseDelay: 2000, // Milliseconds before the first retry, doubled each time
+  maxDelay: 60000,
+  maxAttempts: 8, // Lookups per track before giving up
+};
+
+// ============================================
+// Local Lyrics Settings
+// ============================================
+export const LOCAL_LYRICS = {
+  folder: "lyrics", // Relative to index.html
+  extensions: [".lrc", ".ttml", ".vtt", ".srt"], // Tried in this order
+  timeout: 1000,
+};
+
+// ============================================
+// Lyrics Matching Settings
+// ============================================
+export const LYRICS_MATCH = {
+  threshold: 0.6, // Minimum confidence to accept a search result
+  titleWeight: 0.5,
+  artistWeight: 0.3,
+  durationWeight: 0.2,
+  durationTolerance: 3, // Seconds of difference still counted as a perfect match
+  durationLimit: 20, // Seconds of difference counted as no match at all
+  versionPenalty: 0.3, // Subtracted when only one side is a live/remix/... version
+};
+
+// ============================================
+// Playback Clock Settings
+// ============================================
+export const PLAYBACK_CLOCK = {
+  seekThreshold: 1.0, // Seconds of drift treated as a seek instead of jitter
+  slewTime: 1000, // Milliseconds to ease out small drift
+  stallTime: 1500, // Milliseconds without position change before assuming pause
+};
+
+// ============================================
+// Lyrics Cache Settings
+// ============================================
+export const LYRICS_CACHE = {
+  storageKey: "lyricsCache",
+  maxEntries: 300,
+  notFoundTTL: 24 * 60 * 60 * 1000, // Re-query songs without lyrics after a day
+  durationTolerance: 5, // Seconds players and providers may disagree on a song's length
+};
+
+// ============================================
+// Lyrics View Settings
+// ============================================
+export const LYRICS_VIEW = {
+  scrollSmoothing: 250, // Milliseconds, time constant of the scroll easing
+  focusRange: 2, // Lines kept above and below the active one in focus layout
+  gapDots: 3, // Dots of the instrumental gap indicator
+};
+
+// Order matches the "lyricsLayout" dropdown in LivelyProperties.json
+export const LYRICS_LAYOUTS = ["full", "focus", "subtitle", "karaoke"];
+
+// Order matches the "lyricsTranslation" dropdown in LivelyProperties.json
+export const LYRICS_TRANSLATION_MODES = ["original", "translation", "both"];
+
+// ============================================
+// Lyrics Offset Settings
+// ============================================
+export const LYRICS_OFFSETS = {
+  storageKey: "lyricsOffsets",
 };
 
 // ============================================
@@ -36,28 +180,105 @@ export const SCALE = {
   imgWidth: 886 / 1920,
   imgHeight: 887 / 1080,
 
-  // Line 1 coordinates
-  line1AX: 531 / 1920,
-  line1BX: 1610 / 1920,
-  line1BXOffset: 15,
-
-  // Line 2 coordinates
-  line2AX: 1421 / 1920,
-
-  // Line 3 coordinates
-  line3AX: 1529 / 1920,
-  line3BX: 450 / 1920,
-
-  // Line 4 coordinates
-  line4BX: 1340 / 1920,
-  line4BXOffset: 15,
-
-  // Image center Y
-  imgCenterYRatio: 499 / 1080,
-
   // Font size ratio
   fontSizeRatio: 100 / 1080,
 
   // Gradient scale
   gradientScale: 1.08,
 };
+
+// ============================================
+// Visualizer Lines
+// ============================================
+// Each line is drawn on the background and carries a waveform
+// - from/to: endpoints as fractions of the canvas, dx/dy add pixels
+// - weights: level multiplier per frequency band
+// - side: corner of the art the line passes, {x: -1 left / 1 right, y: -1 top / 1 bottom}
+//   a point is over the art when it is within the art radius on that side
+// - direction: way the waves bulge while over the art, reversed elsewhere
+// - anchor: pixel offset of the start of each wave segment
+// - colors: state color used over the art (inside) and elsewhere (outside),
+//   with the gradient stop where it fades out, scaled by level (null to not fade)
+export const VISUALIZER_LINES = [
+  {
+    // Bass frequencies (left-bottom direction)
+    from: { x: 531 / 1920, y: 0 },
+    to: { x: 1610 / 1920, y: 1, dx: 15, dy: 15 },
+    weights: { bass: 1.2, mids: 0.7, highs: 0.4 },
+    side: { x: -1, y: 1 },
+    direction: { x: -1, y: 1 },
+    anchor: { x: -4, y: -4 },
+    colors: {
+      inside: "primaryColor",
+      outside: "secondaryColor",
+      insideFade: 0.5,
+      outsideFade: null,
+    },
+  },
+  {
+    // Mid frequencies (right-top direction)
+    from: { x: 1421 / 1920, y: 0 },
+    to: { x: 1, y: 499 / 1080 },
+    weights: { bass: 0.5, mids: 1.1, highs: 0.5 },
+    side: { x: 1, y: -1 },
+    direction: { x: 1, y: -1 },
+    anchor: { x: -4, y: -4 },
+    colors: {
+      inside: "primaryColor",
+      outside: "secondaryColor",
+      insideFade: 0.5,
+      outsideFade: 0.5,
+    },
+  },
+  {
+    // High frequencies (left-top direction)
+    from: { x: 1529 / 1920, y: 0 },
+    to: { x: 450 / 1920, y: 1 },
+    weights: { bass: 0.3, mids: 0.6, highs: 1.3 },
+    side: { x: -1, y: -1 },
+    direction: { x: -1, y: -1 },
+    anchor: { x: 4, y: -4 },
+    colors: {
+      inside: "primaryColor",
+      outside: "secondaryColor",
+      insideFade: 0.5,
+      outsideFade: 0.5,
+    },
+  },
+  {
+    // Overall spectrum (right-bottom direction)
+    from: { x: 1, y: 499 / 1080 },
+    to: { x: 1340 / 1920, y: 1, dx: -15, dy: 15 },
+    weights: { bass: 1, mids: 1, highs: 1 },
+    side: { x: 1, y: 1 },
+    direction: { x: 1, y: 1 },
+    anchor: { x: 4, y: -4 },
+    colors: {
+      inside: "primaryColor",
+      outside: "secondaryColor",
+      insideFade: 0.5,
+      outsideFade: 0.5,
+    },
+  },
+];
+
+// ============================================
+// Visualizer Styles
+// ============================================
+// Order matches the "visualizerStyle" dropdown in LivelyProperties.json
+export const VISUALIZER_STYLES = [
+  "waves",
+  "bars",
+  "diamond",
+  "radial",
+  "mirror",
+];
+
+// Shape of each style besides the waves, reach multiplies maxLevel into pixels
+export const VISUALIZER_SHAPES = {
+  bars: { gap: 0.3, reach: 2 }, // Gap as a fraction of each bar's width
+  diamond: { reach: 0.6 },
+  radial: { radius: 0.72, reach: 1 }, // Radius as a fraction of the art's half height
+  mirror: { y: 0.88, reach: 0.6 }, // Centre line as a fraction of the canvas height
+  peakHeight: 3, // Pixels, peak caps of the bars and radial styles
+};
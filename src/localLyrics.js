@@ -0,0 +1,132 @@
+/**
+ * Local Lyrics
+ * Reads hand-made lyric files from a folder next to index.html
+ * Looked up before any network provider, so they always win
+ */
+
+import { LOCAL_LYRICS } from "./config.js";
+import { fetchText } from "./lyricsProviders.js";
+import {
+  normalizeArtists,
+  normalizeTitle,
+  pickBestMatch,
+} from "./lyricsMatch.js";
+
+/**
+ * File list read from the folder's index.json, per folder
+ */
+const manifests = new Map();
+
+/**
+ * Removes characters Windows does not allow in file names
+ */
+function safeFileName(name) {
+  return name
+    .replace(/[<>:"/\\|?*]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Lists the file names worth trying for a track, most exact first
+ * "Artist - Title", the same without forbidden characters, then normalised
+ * (lowercase, main artist only, no "feat." or bracketed suffixes)
+ */
+function candidateNames(artist, title) {
+  const names = [
+    `${artist} - ${title}`,
+    safeFileName(`${artist} - ${title}`),
+    `${normalizeArtists(artist)[0] || ""} - ${normalizeTitle(title)}`,
+  ];
+  return [...new Set(names)];
+}
+
+/**
+ * Reads the optional index.json listing the folder's files
+ * Browsers can't list a directory, the manifest enables fuzzy file matching
+ */
+async function loadManifest(folder, signal) {
+  if (manifests.has(folder)) return manifests.get(folder);
+
+  let text;
+  try {
+    text = await fetchText(`${folder}/index.json`, {
+      timeout: LOCAL_LYRICS.timeout,
+      signal,
+    });
+  } catch (e) {
+    // Timed out or failed without answering (as file:// reads of missing files do
+    // in some browsers), a network error is not a definite answer so try again next track
+    return [];
+  }
+  // A cancelled read says nothing about the folder
+  if (signal && signal.aborted) return [];
+
+  // Only a parsed manifest or a missing one (404) is remembered
+  let files = [];
+  try {
+    files = text ? JSON.parse(text) : [];
+  } catch (e) {
+    console.error(`Invalid ${folder}/index.json:`, e);
+    return [];
+  }
+  manifests.set(folder, Array.isArray(files) ? files : []);
+  return manifests.get(folder);
+}
+
+/**
+ * Finds the best matching "Artist - Title.ext" entry of the manifest
+ */
+function matchManifest(files, artist, title, duration) {
+  return pickBestMatch(
+    files.filter((file) =>
+      LOCAL_LYRICS.extensions.some((ext) => file.endsWith(ext))
+    ),
+    { artist, title, duration },
+    (file) => {
+      const name = file.slice(0, file.lastIndexOf("."));
+      const separator = name.indexOf(" - ");
+      return separator < 0
+        ? { title: name }
+        : {
+            artist: name.slice(0, separator),
+            title: name.slice(separator + 3),
+          };
+    }
+  );
+}
+
+/**
+ * Looks up a local lyrics file for a track
+ * @param {string} artist - Track artist
+ * @param {string} title - Track title
+ * @param {Object} options - {localFolder, duration, signal}
+ * @returns {Promise<Object|null>} {lyrics, source, synced}, null when there is no file
+ */
+export async function fetchLocalLyrics(artist, title, options = {}) {
+  const folder = (options.localFolder || "").replace(/[\\/]+$/, "");
+  if (!folder) return null;
+
+  // Some browsers fail file:// requests for missing files instead of answering 404
+  const read = (file) =>
+    fetchText(`${folder}/${encodeURIComponent(file)}`, {
+      timeout: LOCAL_LYRICS.timeout,
+      signal: options.signal,
+    }).catch(() => null);
+
+  for (const name of candidateNames(artist, title)) {
+    for (const ext of LOCAL_LYRICS.extensions) {
+      const lyrics = await read(name + ext);
+      if (lyrics) return { lyrics, source: "Local file", synced: true };
+    }
+  }
+
+  const files = await loadManifest(folder, options.signal);
+  const file = matchManifest(files, artist, title, options.duration);
+  if (file) {
+    const lyrics = await read(file);
+    if (lyrics) return { lyrics, source: "Local file", synced: true };
+  }
+
+  return null;
+}
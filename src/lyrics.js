@@ -1,439 +1,548 @@
 /**
  * Lyrics Fetcher - Enhanced version with precise timing synchronization
- * Priority: Better Lyrics > Musixmatch > LRClib > Genius
+ * Local files first, then by default Better Lyrics > Musixmatch > LRClib > Genius (see lyricsProviders.js)
  */
 
-function formatSearch(artist, title) {
-  return {
-    artist: (artist || "").trim().toLowerCase(),
-    title: (title || "").trim().toLowerCase(),
-    artistClean: (artist || "").trim().toLowerCase().replace(/\s+/g, " "),
-    titleClean: (title || "").trim().toLowerCase().replace(/\s+/g, " "),
-  };
+import { getCachedLyrics, setCachedLyrics } from "./lyricsCache.js";
+import {
+  getLyricsProviders,
+  isOnline,
+  isTransientError,
+  isUnreachableError,
+  transientError,
+  waitForOnline,
+  waitForRetry,
+} from "./lyricsProviders.js";
+import { fetchLocalLyrics } from "./localLyrics.js";
+import { scoreMatch } from "./lyricsMatch.js";
+import { romanizeLyrics } from "./romanize.js";
+import {
+  attachBackgroundVocals,
+  buildTimeline,
+  detectLyricsFormat,
+  parseSRT,
+  parseTTML,
+  parseWebVTT,
+  splitVoiceMarker,
+} from "./lyricsFormats.js";
+import { LYRICS_MATCH, LYRICS_RETRY } from "./config.js";
+
+// [hh:]mm:ss[.xxx] with the surrounding brackets captured separately
+const STAMP = String.raw`(?:(\d+):)?(\d+):(\d+)(?:[.](\d+))?`;
+const LINE_STAMP_REGEX = new RegExp(String.raw`\[${STAMP}\]`, "g");
+const LEADING_STAMPS_REGEX = new RegExp(
+  String.raw`^((?:\[${STAMP}\]\s*)+)(.*)$`
+);
+const WORD_STAMP_REGEX = new RegExp(`<${STAMP}>`, "g");
+const METADATA_REGEX = /^\[([a-z#]+):(.*)\]$/i;
+const SECTION_REGEX = /^\[([^\]]+)\]$/;
+
+/**
+ * Converts LRC timestamp parts into seconds
+ * Fractions are read as decimals, so ".5", ".50" and ".500" are all half a second
+ * "mm:ss:xx" (a colon before the centiseconds) is told apart from "hh:mm:ss"
+ * by its two-digit last field and a first field below 60
+ */
+function toSeconds(hours, minutes, seconds, fraction) {
+  if (hours && !fraction && seconds.length === 2 && parseInt(hours) < 60) {
+    return toSeconds(null, hours, minutes, seconds);
+  }
+  return (
+    (hours ? parseInt(hours) * 3600 : 0) +
+    parseInt(minutes) * 60 +
+    parseInt(seconds) +
+    (fraction ? parseInt(fraction) / Math.pow(10, fraction.length) : 0)
+  );
 }
 
 /**
- * Parses synced lyrics with timestamps into array with duration calculations
- * Returns array: [{text, startTime, duration, endTime}, ...]
+ * Splits the text of an Enhanced LRC (A2) line on its inline <mm:ss.xx> stamps
+ * Returns array: [{text, startTime, endTime}, ...] or null when the line has no word stamps
  */
-export function parseEnhancedLRC(lrcContent) {
-  if (!lrcContent) return [];
+function parseWordTimings(content, lineStart, offset) {
+  const stamps = [...content.matchAll(WORD_STAMP_REGEX)];
+  if (stamps.length === 0) return null;
 
-  const lines = lrcContent.split("\n");
-  const lyricsArray = [];
-  const timeRegex = /^\[(\d{2}):(\d{2})\.(\d{2,3})\]\s*(.*)$/;
+  const words = [];
+  let lineEnd = null;
 
-  // First pass: extract all lines with timestamps
-  for (let line of lines) {
-    const match = line.match(timeRegex);
-    if (!match) continue;
+  // Text before the first stamp is sung from the start of the line
+  const leading = content.slice(0, stamps[0].index);
+  if (leading.trim()) {
+    words.push({ text: leading, startTime: lineStart, endTime: null });
+  }
 
-    const minutes = parseInt(match[1]);
-    const seconds = parseInt(match[2]);
-    const milliseconds = parseInt(match[3]);
-    const startTime = minutes * 60 + seconds + milliseconds / 1000;
-    const text = match[4].trim();
+  for (let i = 0; i < stamps.length; i++) {
+    const stamp = stamps[i];
+    const startTime =
+      toSeconds(stamp[1], stamp[2], stamp[3], stamp[4]) - offset;
+    const textEnd =
+      i < stamps.length - 1 ? stamps[i + 1].index : content.length;
+    const text = content.slice(stamp.index + stamp[0].length, textEnd);
 
-    if (text) {
-      lyricsArray.push({
-        text,
-        startTime,
-        duration: 0, // Will be calculated
-        endTime: 0,
-      });
+    if (words.length > 0 && words[words.length - 1].endTime === null) {
+      words[words.length - 1].endTime = startTime;
     }
-  }
 
-  // Second pass: calculate durations
-  for (let i = 0; i < lyricsArray.length; i++) {
-    if (i < lyricsArray.length - 1) {
-      lyricsArray[i].duration =
-        lyricsArray[i + 1].startTime - lyricsArray[i].startTime;
-      lyricsArray[i].endTime = lyricsArray[i + 1].startTime;
-    } else {
-      // Last lyric: estimate duration (assume ~3 seconds)
-      lyricsArray[i].duration = 3;
-      lyricsArray[i].endTime = lyricsArray[i].startTime + 3;
+    if (text.trim()) {
+      words.push({ text, startTime, endTime: null });
+    } else if (i === stamps.length - 1) {
+      // A trailing stamp with no text marks the end of the last word
+      lineEnd = startTime;
     }
   }
 
-  // Third pass: fill gaps with silence markers
-  const filledArray = [];
-  for (let i = 0; i < lyricsArray.length; i++) {
-    const current = lyricsArray[i];
-
-    // Check if there's a gap before this lyric
-    if (i === 0 && current.startTime > 0.5) {
-      // Gap at the beginning
-      filledArray.push({
-        text: "-",
-        startTime: 0,
-        duration: current.startTime,
-        endTime: current.startTime,
-        isGap: true,
-      });
-    } else if (i > 0) {
-      const prev = lyricsArray[i - 1];
-      if (current.startTime - prev.endTime > 0.5) {
-        // Gap between lyrics
-        filledArray.push({
-          text: "-",
-          startTime: prev.endTime,
-          duration: current.startTime - prev.endTime,
-          endTime: current.startTime,
-          isGap: true,
-        });
-      }
-    }
+  if (words.length === 0) return null;
 
-    filledArray.push(current);
-  }
+  // Trim the outer whitespace only, inner spaces separate words and syllables
+  words[0].text = words[0].text.trimStart();
+  words[words.length - 1].text = words[words.length - 1].text.trimEnd();
+  words[words.length - 1].endTime = lineEnd;
 
-  return filledArray;
+  return words;
 }
 
 /**
- * Updates the lyrics container with YouTube Music-style display
- * Uses precise timing to highlight current lyric
+ * Reads an LRC header tag, converting [length:] to seconds and [offset:] to milliseconds
  */
-export function updateLyricsSync(currentTime, state) {
-  const container = document.getElementById("lyrics-container");
-  if (!state.currentLyrics || !container || state.currentLyrics.length === 0)
-    return;
-
-  // Find which lyric is currently playing
-  let activeIndex = 0;
-  for (let i = 0; i < state.currentLyrics.length; i++) {
-    if (
-      currentTime >= state.currentLyrics[i].startTime &&
-      currentTime < state.currentLyrics[i].endTime
-    ) {
-      activeIndex = i;
-      break;
+function parseMetadataTag(metadata, key, value) {
+  key = key.toLowerCase();
+  value = value.trim();
+
+  if (key === "offset") {
+    metadata.offset = parseInt(value) || 0;
+  } else if (key === "length") {
+    const parts = value.split(":").map(parseFloat);
+    metadata.length = parts.reduce((total, part) => total * 60 + part, 0);
+  } else {
+    metadata[key] = value;
+  }
+}
+
+/**
+ * Pairs lines sharing a timestamp, as written in bilingual LRC files
+ * The first line stays the original, the second becomes its translation
+ * @param {Array<Object>} entries - Entries sorted by start time, changed in place
+ */
+function pairTranslations(entries) {
+  for (let i = entries.length - 1; i > 0; i--) {
+    const prev = entries[i - 1];
+    const entry = entries[i];
+    if (!entry.text || !prev.text || entry.startTime !== prev.startTime) {
+      continue;
     }
+    // Two singers on the same stamp is a duet, not a translation
+    if (entry.voice && prev.voice && entry.voice !== prev.voice) continue;
+
+    // With three or more lines on one stamp, the one right after the original wins
+    prev.translation = entry.text;
+    entries.splice(i, 1);
   }
+}
 
-  const titleElement = document.getElementById("track-title");
-  const titleColor =
-    window.getComputedStyle(titleElement).color || "rgb(255, 255, 255)";
-
-  let html = `<div class="lyrics-source">From: ${state.lyricsSource}</div>`;
-
-  // Show current lyric and upcoming lyrics
-  for (
-    let i = activeIndex;
-    i < Math.min(activeIndex + 10, state.currentLyrics.length);
-    i++
-  ) {
-    const lyric = state.currentLyrics[i];
-    const isActive = i === activeIndex;
-
-    const textColor = isActive ? titleColor : "rgba(255,255,255,0.5)";
-    const fontWeight = isActive ? "700" : "500";
-    const displayText = lyric.text || "-";
-
-    html += `<div class="lyrics-line ${isActive ? "active-line" : ""}" style="
-      color: ${textColor};
-      font-weight: ${fontWeight};
-      opacity: ${isActive ? "1" : "0.6"};
-    ">${displayText}</div>`;
+/**
+ * Adds translations from a separate LRC file to lines with the same timestamp
+ * @param {Array<Object>} lines - Parsed lyric lines, changed in place
+ * @param {string} translationContent - Synced text of the translation, in any format
+ */
+function mergeTranslation(lines, translationContent) {
+  const translations = new Map();
+  for (const line of parseLyricsDocument(translationContent).lines) {
+    if (!line.isGap) translations.set(line.startTime.toFixed(2), line.text);
   }
 
-  container.innerHTML = html;
-
-  // Auto-scroll to active line
-  setTimeout(() => {
-    const activeElements = container.querySelectorAll(".active-line");
-    if (activeElements.length > 0) {
-      const activeElement = activeElements[0];
-      const containerRect = container.getBoundingClientRect();
-      const elementRect = activeElement.getBoundingClientRect();
-
-      if (
-        elementRect.top < containerRect.top ||
-        elementRect.bottom > containerRect.bottom
-      ) {
-        activeElement.scrollIntoView({ behavior: "auto", block: "center" });
-      }
+  for (const line of lines) {
+    const translation = translations.get(line.startTime.toFixed(2));
+    if (translation && !line.isGap && line.translation === undefined) {
+      line.translation = translation;
     }
-  }, 0);
+  }
 }
 
 /**
- * Better Lyrics API - Syllable/Word level support
+ * Parses LRC lyrics following the full format
+ * - [hh:mm:ss.xx], [mm:ss.xx] and [mm:ss] line stamps
+ * - several stamps on one line (repeated chorus) expanded into one entry each
+ * - <mm:ss.xx> word stamps (Enhanced LRC)
+ * - [ar:], [ti:], [al:], [length:] and other header tags, [offset:] applied to every stamp
+ * - bilingual files, where a second line on the same stamp is the translation
+ * - "v1:", "v2:" singer markers, and "bg:" background vocals attached to the line before
+ * Returns {lines: [{text, startTime, duration, endTime, isGap?, words?, translation?, voice?, background?}, ...], metadata}
  */
-async function fetchFromBetterLyrics(artist, title) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 5000);
-
-  try {
-    const { artistClean, titleClean } = formatSearch(artist, title);
-    const url = `https://api.betterlyrics.com/search?q=${encodeURIComponent(
-      `${artistClean} ${titleClean}`
-    )}`;
-
-    try {
-      const response = await fetch(url, { signal: controller.signal });
-      clearTimeout(timeoutId);
-
-      if (!response.ok) throw new Error("Failed");
-
-      const data = await response.json();
-      if (!data.tracks || data.tracks.length === 0) return null;
-
-      const track = data.tracks[0];
-      if (!track.syncedLyrics) return null;
-
-      return {
-        lyrics: track.syncedLyrics,
-        source: "Better Lyrics",
-        synced: true,
-      };
-    } catch (e) {
-      const proxyUrl = `https://api.allorigins.win/get?url=${encodeURIComponent(
-        url
-      )}`;
-      const response = await fetch(proxyUrl, { signal: controller.signal });
-      clearTimeout(timeoutId);
+export function parseLRC(lrcContent) {
+  const metadata = { offset: 0 };
+  if (!lrcContent) return { lines: [], metadata };
 
-      if (!response.ok) return null;
+  const rows = lrcContent.split(/\r?\n/).map((row) => row.trim());
 
-      const proxyData = await response.json();
-      if (!proxyData.contents) return null;
+  // The offset tag may appear anywhere in the header, read tags up front
+  for (const row of rows) {
+    if (LEADING_STAMPS_REGEX.test(row)) continue;
+    const tag = row.match(METADATA_REGEX);
+    if (tag) parseMetadataTag(metadata, tag[1], tag[2]);
+  }
 
-      const data = JSON.parse(proxyData.contents);
-      if (!data.tracks || data.tracks.length === 0) return null;
+  // A positive offset makes lyrics show up sooner
+  const offset = metadata.offset / 1000;
+  const entries = [];
 
-      const track = data.tracks[0];
-      if (!track.syncedLyrics) return null;
+  // First pass: extract all lines with timestamps, one entry per stamp
+  for (const row of rows) {
+    const match = row.match(LEADING_STAMPS_REGEX);
+    if (!match) continue;
 
-      return {
-        lyrics: track.syncedLyrics,
-        source: "Better Lyrics",
-        synced: true,
+    const stamps = [...match[1].matchAll(LINE_STAMP_REGEX)].map(
+      (stamp) => toSeconds(stamp[1], stamp[2], stamp[3], stamp[4]) - offset
+    );
+    const { voice, text: content } = splitVoiceMarker(match[6]);
+    const words = parseWordTimings(content, stamps[0], offset);
+    const text = words
+      ? words
+          .map((word) => word.text)
+          .join("")
+          .trim()
+      : content.trim();
+
+    for (const startTime of stamps) {
+      const entry = {
+        text,
+        startTime,
+        duration: 0, // Will be calculated
+        endTime: null, // Runs until the next stamp
       };
+      if (words) {
+        // Repeats reuse the word timings shifted to their own stamp
+        const shift = startTime - stamps[0];
+        entry.words = words.map((word) => ({
+          text: word.text,
+          startTime: word.startTime + shift,
+          endTime: word.endTime === null ? null : word.endTime + shift,
+        }));
+      }
+      if (voice) entry.voice = voice;
+      entries.push(entry);
     }
-  } catch (error) {
-    return null;
   }
+
+  entries.sort((a, b) => a.startTime - b.startTime);
+  attachBackgroundVocals(entries);
+  pairTranslations(entries);
+
+  // Second pass: durations and gaps, an empty stamped line ends the previous one
+  return { lines: buildTimeline(entries), metadata };
 }
 
 /**
- * Musixmatch API - Word level support
+ * Parses synced lyrics in any supported format (LRC, TTML, SRT, WebVTT)
+ * The format is detected from the content
+ * Returns {lines: [{text, startTime, duration, endTime, isGap?, words?}, ...], metadata, format}
  */
-async function fetchFromMusixmatch(artist, title, apiKey) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 5000);
-
-  try {
-    if (!apiKey) return null;
-
-    const { artistClean, titleClean } = formatSearch(artist, title);
-
-    const response = await fetch(
-      `https://api.musixmatch.com/ws/1.1/matcher.lyrics.get?q_artist=${encodeURIComponent(
-        artistClean
-      )}&q_track=${encodeURIComponent(titleClean)}&apikey=${apiKey}`,
-      { signal: controller.signal }
-    );
-    clearTimeout(timeoutId);
+export function parseLyricsDocument(content) {
+  const format = detectLyricsFormat(content);
+  const parsers = {
+    ttml: parseTTML,
+    srt: parseSRT,
+    vtt: parseWebVTT,
+    lrc: parseLRC,
+  };
+  return { ...parsers[format](content), format };
+}
 
-    if (!response.ok) return null;
+/**
+ * Parses synced lyrics with timestamps into array with duration calculations
+ * Returns array: [{text, startTime, duration, endTime, isGap?, words?}, ...]
+ */
+export function parseEnhancedLRC(lrcContent) {
+  return parseLyricsDocument(lrcContent).lines;
+}
 
-    const data = await response.json();
+/**
+ * Parses unsynced lyrics into one entry per line
+ * When the track duration is known, lines are spread over it by text length
+ * so the sheet can still follow the song roughly
+ * Section headers such as [Chorus] or [Verse 1: Artist] are kept as separators
+ * that take no time
+ * Returns array: [{text, startTime, duration, endTime, isSection?}, ...]
+ */
+export function parsePlainLyrics(text, duration = 0) {
+  if (!text) return [];
 
-    if (data.message.status === 200 && data.message.body.lyrics) {
+  // Musixmatch appends a "******* This Lyrics is NOT for Commercial use" footer
+  const body = text.split(/^\*{7}/m)[0];
+  const lines = body
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0);
+
+  const section = (line) => line.match(SECTION_REGEX);
+  const totalChars = lines.reduce(
+    (sum, line) => sum + (section(line) ? 0 : line.length),
+    0
+  );
+  let startTime = 0;
+
+  return lines.map((line) => {
+    const header = section(line);
+    if (header) {
       return {
-        lyrics: data.message.body.lyrics.lyrics_body,
-        source: "Musixmatch",
-        synced: false,
+        text: header[1].trim(),
+        startTime,
+        duration: 0,
+        endTime: startTime,
+        isSection: true,
       };
     }
 
-    return null;
-  } catch (error) {
-    return null;
+    const lineDuration =
+      duration > 0 ? (line.length / totalChars) * duration : 0;
+    const entry = {
+      text: line,
+      startTime,
+      duration: lineDuration,
+      endTime: startTime + lineDuration,
+    };
+    startTime += lineDuration;
+    return entry;
+  });
+}
+
+/**
+ * Parses a provider result, falling back to plain lyrics when it has no timestamps
+ * @param {Object} result - {lyrics, source, synced, translation?}
+ * @param {Object} track - {artist, title, duration} of the playing track
+ * @param {Object} options - fetchLyrics options
+ * @returns {Object|null} Result with parsedLyrics and estimated flag, or null when empty
+ */
+function parseLyricsResult(result, track, options) {
+  const parsed = parseLyricsText(result, track, options);
+
+  // Romanize after parsing so every source and format gets it
+  if (parsed && options.romanize) {
+    romanizeLyrics(parsed.parsedLyrics, options.romanize);
   }
+  return parsed;
 }
 
 /**
- * LRClib API - No auth required, best reliability
+ * Parses the lyrics text of a result as synced lyrics, or as plain lyrics when it has no timestamps
  */
-async function fetchFromLRClib(artist, title) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 10000);
+function parseLyricsText(result, track, options) {
+  const { lines, metadata } = parseLyricsDocument(result.lyrics);
+  if (lines.length > 0) {
+    // Reject files whose own [ti:]/[ar:]/[length:] header names another song
+    const header = {
+      title: metadata.ti,
+      artist: metadata.ar,
+      duration: metadata.length,
+    };
+    if (
+      (header.title || header.artist) &&
+      scoreMatch(header, track) < LYRICS_MATCH.threshold
+    ) {
+      return null;
+    }
 
-  try {
-    const { artistClean, titleClean } = formatSearch(artist, title);
-
-    const queries = [
-      `https://lrclib.net/api/search?artist=${encodeURIComponent(
-        artistClean
-      )}&track=${encodeURIComponent(titleClean)}`,
-      `https://lrclib.net/api/search?q=${encodeURIComponent(
-        `${artistClean} ${titleClean}`
-      )}`,
-    ];
-
-    for (let apiUrl of queries) {
-      try {
-        let response = await fetch(apiUrl, {
-          signal: controller.signal,
-          headers: { Accept: "application/json" },
-          mode: "cors",
-        });
-
-        if (!response.ok) {
-          const proxyUrl = `https://api.allorigins.win/get?url=${encodeURIComponent(
-            apiUrl
-          )}`;
-          response = await fetch(proxyUrl, { signal: controller.signal });
-
-          if (!response.ok) continue;
-
-          const proxyData = await response.json();
-          if (!proxyData.contents) continue;
-
-          const results = JSON.parse(proxyData.contents);
-
-          if (!results || results.length === 0) continue;
-
-          const track = results.find((t) => t.syncedLyrics) || results[0];
-
-          if (!track.syncedLyrics && !track.plainLyrics) continue;
-
-          clearTimeout(timeoutId);
-          return {
-            lyrics: track.syncedLyrics || track.plainLyrics,
-            source: "LRClib",
-            synced: !!track.syncedLyrics,
-          };
-        }
+    // Providers may return the translation as a separate synced text
+    if (result.translation) mergeTranslation(lines, result.translation);
 
-        clearTimeout(timeoutId);
-        const results = await response.json();
+    return {
+      ...result,
+      synced: true,
+      estimated: false,
+      parsedLyrics: lines,
+      metadata,
+    };
+  }
 
-        if (!results || results.length === 0) continue;
+  const duration = options.estimateTiming ? options.duration || 0 : 0;
+  const plain = parsePlainLyrics(result.lyrics, duration);
+  if (plain.length === 0) return null;
 
-        const track = results.find((t) => t.syncedLyrics) || results[0];
+  return {
+    ...result,
+    synced: false,
+    estimated: duration > 0,
+    parsedLyrics: plain,
+  };
+}
 
-        if (!track.syncedLyrics && !track.plainLyrics) continue;
+/**
+ * Ranks a parsed result, word-timed lyrics beat line-timed, which beat unsynced
+ */
+function rankResult(result) {
+  if (!result.synced) return 0;
+  return result.parsedLyrics.some((line) => line.words) ? 2 : 1;
+}
 
-        return {
-          lyrics: track.syncedLyrics || track.plainLyrics,
-          source: "LRClib",
-          synced: !!track.syncedLyrics,
-        };
-      } catch (e) {
-        continue;
-      }
-    }
+/**
+ * Runs one provider and parses its lyrics
+ * @returns {Promise<Object|null>} Result with parsedLyrics, or null when unusable
+ * @throws {Error} Transient error when the provider could not be reached
+ */
+async function searchProvider(provider, artist, title, options) {
+  try {
+    const result = await provider.search(
+      artist,
+      title,
+      options.duration || 0,
+      options
+    );
+    if (!result || !result.lyrics) return null;
 
-    return null;
-  } catch (error) {
+    return parseLyricsResult(
+      result,
+      { artist, title, duration: options.duration || 0 },
+      options
+    );
+  } catch (e) {
+    if (isTransientError(e) || isUnreachableError(e)) throw e;
+    console.error(`Lyrics provider "${provider.id}" failed:`, e);
     return null;
   }
 }
 
 /**
- * Genius API
+ * Queries the providers once
+ * @returns {Promise<Object>} {found, failed, unreachable}
+ *   failed when a provider had a temporary problem or no provider could be reached,
+ *   unreachable when some provider could not be reached at all
  */
-async function fetchFromGenius(artist, title, accessToken) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 5000);
-
-  try {
-    if (!accessToken) return null;
-
-    const { artistClean, titleClean } = formatSearch(artist, title);
-    const query = `${titleClean} ${artistClean}`;
-
-    const response = await fetch(
-      `https://api.genius.com/search?q=${encodeURIComponent(query)}`,
-      {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-        },
-        signal: controller.signal,
+async function searchProviders(artist, title, options) {
+  const providers = getLyricsProviders(options.providers);
+  const { signal } = options;
+  let found = null;
+  let failed = false;
+  let unreachable = false;
+  let answered = 0;
+
+  const search = (provider) =>
+    searchProvider(provider, artist, title, options).then(
+      (result) => {
+        answered++;
+        return result;
+      },
+      (e) => {
+        console.warn(
+          `Lyrics provider "${provider.id}" unreachable:`,
+          e.message
+        );
+        if (isUnreachableError(e)) {
+          unreachable = true;
+        } else {
+          failed = true;
+        }
+        return null;
       }
     );
-    clearTimeout(timeoutId);
-
-    if (!response.ok) return null;
 
-    const data = await response.json();
-    const hits = data.response.hits;
-
-    if (!hits || hits.length === 0) return null;
+  if (options.parallel) {
+    // Query everything at once and keep the best result, priority breaks ties
+    const results = await Promise.all(providers.map(search));
+    for (const result of results) {
+      if (result && (!found || rankResult(result) > rankResult(found))) {
+        found = result;
+      }
+    }
+  } else {
+    // Take the first provider in priority order that has synced lyrics,
+    // the first plain result is kept in case no provider has them
+    for (const provider of providers) {
+      if (signal && signal.aborted) break;
+      const result = await search(provider);
+      if (result && !found) found = result;
+      if (result && result.synced) {
+        found = result;
+        break;
+      }
+    }
+  }
 
-    const hit = hits[0];
+  // Nothing answered at all: likely a connection without internet, worth a retry
+  if (unreachable && answered === 0) failed = true;
 
-    return {
-      lyrics: `"${hit.result.title}" by ${hit.result.primary_artist.name}\n\nView full lyrics: ${hit.result.url}`,
-      source: "Genius",
-      synced: false,
-      url: hit.result.url,
-    };
-  } catch (error) {
-    return null;
-  }
+  return { found, failed, unreachable };
 }
 
 /**
  * Main lyrics fetcher with priority-based fallback
+ * Results, including "not found", are cached per artist and title, for durations within a few seconds
+ * When nothing was found because sources were unreachable, the lookup is retried
+ * with exponential backoff until the signal aborts, waiting while offline
+ * @param {string} artist - Track artist
+ * @param {string} title - Track title
+ * @param {Object} options - {musixmatchKey, geniusKey, duration, signal, providers, parallel, estimateTiming, romanize, localFolder, proxy, endpoints, onRetry}
+ *   providers is the ordered list of provider ids to query, parallel queries them all at once,
+ *   estimateTiming spreads unsynced lyrics over the duration, romanize is {hangul, cyrillic},
+ *   proxy is the CORS proxy template (empty for none), endpoints maps provider ids to base URLs,
+ *   onRetry({offline, attempt, delay}) is called before waiting for the connection or a retry
+ * @throws {Error} Transient error once every retry failed
  */
-export async function fetchLyrics(artist, title, apiKeys = {}) {
+export async function fetchLyrics(artist, title, options = {}) {
+  const { duration = 0, signal } = options;
+  const aborted = () => signal && signal.aborted;
+  const onRetry = options.onRetry || (() => {});
+
   try {
-    // Priority 1: Better Lyrics (highest quality syncing)
-    let result = await fetchFromBetterLyrics(artist, title);
-    if (result && result.lyrics) {
-      const parsed = parseEnhancedLRC(result.lyrics);
-      if (parsed && parsed.length > 0) {
-        return {
-          ...result,
-          parsedLyrics: parsed,
-        };
-      }
+    // Local files come first and skip the cache, they may have been edited
+    const local = await fetchLocalLyrics(artist, title, options);
+    if (aborted()) return null;
+    if (local) {
+      const parsed = parseLyricsResult(
+        local,
+        { artist, title, duration },
+        options
+      );
+      if (parsed) return parsed;
     }
 
-    // Priority 2: Musixmatch
-    result = await fetchFromMusixmatch(artist, title, apiKeys.musixmatchKey);
-    if (result && result.lyrics) {
-      const parsed = parseEnhancedLRC(result.lyrics);
-      if (parsed && parsed.length > 0) {
-        return {
-          ...result,
-          parsedLyrics: parsed,
-        };
-      }
+    const cached = getCachedLyrics(artist, title, duration);
+    if (cached && cached.notFound) return null;
+    if (cached) {
+      const parsed = parseLyricsResult(
+        cached,
+        { artist, title, duration },
+        options
+      );
+      if (parsed) return parsed;
     }
 
-    // Priority 3: LRClib (best reliability)
-    result = await fetchFromLRClib(artist, title);
-    if (result && result.lyrics) {
-      const parsed = parseEnhancedLRC(result.lyrics);
-      if (parsed && parsed.length > 0) {
-        return {
-          ...result,
-          parsedLyrics: parsed,
-        };
+    for (let attempt = 1; ; attempt++) {
+      if (!isOnline()) {
+        onRetry({ offline: true, attempt, delay: 0 });
+        await waitForOnline(signal);
       }
-    }
+      if (aborted()) return null;
 
-    // Priority 4: Genius
-    result = await fetchFromGenius(artist, title, apiKeys.geniusKey);
-    if (result && result.lyrics) {
-      const parsed = parseEnhancedLRC(result.lyrics);
-      if (parsed && parsed.length > 0) {
-        return {
-          ...result,
-          parsedLyrics: parsed,
-        };
+      const { found, failed, unreachable } = await searchProviders(
+        artist,
+        title,
+        options
+      );
+
+      // A cancelled lookup says nothing about the song, so don't cache it
+      if (aborted()) return null;
+
+      // Only a complete answer is cached, unreachable sources may still have the song
+      if (found || (!failed && !unreachable)) {
+        setCachedLyrics(artist, title, duration, found);
+        return found;
       }
-    }
+      // Others answered, the sources that could not be reached get another go next play
+      if (!failed) return null;
 
-    return null;
+      if (attempt >= LYRICS_RETRY.maxAttempts) {
+        throw transientError("Lyrics sources unreachable");
+      }
+
+      const delay = Math.min(
+        LYRICS_RETRY.baseDelay * Math.pow(2, attempt - 1),
+        LYRICS_RETRY.maxDelay
+      );
+      onRetry({ offline: !isOnline(), attempt, delay });
+      await waitForRetry(delay, signal);
+    }
   } catch (e) {
+    if (isTransientError(e)) throw e;
     return null;
   }
 }
@@ -446,7 +555,12 @@ export function parseLRCLyrics(lrcText) {
 
   return lrcText
     .split("\n")
-    .map((line) => line.replace(/^\[\d{2}:\d{2}.\d{2}\]\s*/g, "").trim())
+    .map((line) =>
+      line
+        .replace(/^(\[[^\]]*\]\s*)+/, "")
+        .replace(WORD_STAMP_REGEX, "")
+        .trim()
+    )
     .filter((line) => line.length > 0)
     .join("\n");
 }
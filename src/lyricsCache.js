@@ -0,0 +1,138 @@
+/**
+ * Lyrics Cache
+ * Keeps fetched lyrics in localStorage so replayed songs skip the network
+ */
+
+import { LYRICS_CACHE } from "./config.js";
+
+/**
+ * Builds a storage key from the normalised artist and title
+ * @param {string} artist - Track artist
+ * @param {string} title - Track title
+ * @returns {string} Key shared by everything stored per song
+ */
+export function songKey(artist, title) {
+  const normalize = (text) =>
+    (text || "").trim().toLowerCase().replace(/\s+/g, " ");
+  return `${normalize(artist)}|${normalize(title)}`;
+}
+
+/**
+ * Tells whether a cached entry was stored for this version of the song
+ * Durations within the tolerance, or unknown on either side, count as the same song
+ */
+function matchesDuration(entry, duration) {
+  if (!entry.duration || !duration) return true;
+  return Math.abs(entry.duration - duration) <= LYRICS_CACHE.durationTolerance;
+}
+
+/**
+ * Reads all cache entries from storage
+ * @returns {Object} Entries keyed by song key
+ */
+function loadEntries() {
+  try {
+    const raw = localStorage.getItem(LYRICS_CACHE.storageKey);
+    return raw ? JSON.parse(raw) : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Writes the cache entries back, evicting least recently used ones to fit
+ * @param {Object} entries - Entries keyed by song key
+ */
+function saveEntries(entries) {
+  const keys = Object.keys(entries).sort(
+    (a, b) => entries[a].lastUsed - entries[b].lastUsed
+  );
+
+  // Drop the oldest entries beyond the size cap
+  while (keys.length > LYRICS_CACHE.maxEntries) {
+    delete entries[keys.shift()];
+  }
+
+  // If storage is full, keep halving the cache until it fits
+  while (true) {
+    try {
+      localStorage.setItem(LYRICS_CACHE.storageKey, JSON.stringify(entries));
+      return;
+    } catch (e) {
+      if (keys.length === 0) return;
+      keys.splice(0, Math.ceil(keys.length / 2)).forEach((key) => {
+        delete entries[key];
+      });
+    }
+  }
+}
+
+/**
+ * Looks up cached lyrics for a track
+ * @param {string} artist - Track artist
+ * @param {string} title - Track title
+ * @param {number} duration - Track duration in seconds (0 when unknown)
+ * @returns {Object|null} {lyrics, source, synced, translation, fetchedAt} or {notFound: true}, null on a miss
+ */
+export function getCachedLyrics(artist, title, duration) {
+  const entries = loadEntries();
+  const key = songKey(artist, title);
+  const entry = entries[key];
+  // Another version of the song (live, extended...) is fetched again and replaces it
+  if (!entry || !matchesDuration(entry, duration)) return null;
+
+  const now = Date.now();
+
+  // "Not found" results expire so the song gets another chance later
+  if (entry.notFound && now - entry.fetchedAt > LYRICS_CACHE.notFoundTTL) {
+    delete entries[key];
+    saveEntries(entries);
+    return null;
+  }
+
+  entry.lastUsed = now;
+  saveEntries(entries);
+  return entry;
+}
+
+/**
+ * Stores a lyrics result, or a "not found" marker when result is null
+ * @param {string} artist - Track artist
+ * @param {string} title - Track title
+ * @param {number} duration - Track duration in seconds (0 when unknown)
+ * @param {Object|null} result - Result with lyrics, source, synced and translation properties
+ */
+export function setCachedLyrics(artist, title, duration, result) {
+  const entries = loadEntries();
+  const now = Date.now();
+
+  entries[songKey(artist, title)] = result
+    ? {
+        lyrics: result.lyrics,
+        source: result.source,
+        synced: !!result.synced,
+        translation: result.translation,
+        duration: duration || 0,
+        fetchedAt: now,
+        lastUsed: now,
+      }
+    : {
+        notFound: true,
+        duration: duration || 0,
+        fetchedAt: now,
+        lastUsed: now,
+      };
+
+  saveEntries(entries);
+}
+
+/**
+ * Removes every cached lyrics entry
+ */
+export function clearLyricsCache() {
+  try {
+    localStorage.removeItem(LYRICS_CACHE.storageKey);
+  } catch (e) {
+    // Storage unavailable, nothing to clear
+  }
+}
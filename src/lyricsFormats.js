@@ -0,0 +1,420 @@
+/**
+ * Lyrics Formats
+ * Parsers for subtitle-style lyric files (TTML, SRT, WebVTT) and the shared
+ * timeline pass that turns parsed entries into the lyric line model
+ */
+
+const SUBTITLE_TIME = String.raw`(?:\d+:)?\d+:\d+(?:[.,]\d+)?`;
+const CUE_TIMING_REGEX = new RegExp(
+  String.raw`^(${SUBTITLE_TIME})\s*-->\s*(${SUBTITLE_TIME})`
+);
+const SRT_HEAD_REGEX = new RegExp(
+  String.raw`^(?:\d+\s*\r?\n)?${SUBTITLE_TIME}\s*-->`
+);
+const VTT_WORD_STAMP_REGEX = new RegExp(`<(${SUBTITLE_TIME})>`, "g");
+const VTT_VOICE_REGEX = /<v(?:\.[^\s>]*)?\s+([^>]+)>/;
+const VOICE_MARKER_REGEX = /^(v\d+|bg)\s*:\s*/i;
+
+/**
+ * Converts a clock value into seconds
+ * Accepts "hh:mm:ss.fff", "mm:ss,fff" and TTML offsets such as "12.5s" or "800ms"
+ * @returns {number|null} Seconds, or null when the value can't be read
+ */
+export function parseClockTime(value) {
+  if (!value) return null;
+  value = value.trim();
+
+  const offset = value.match(/^([\d.]+)(h|m|s|ms)?$/);
+  if (offset) {
+    const units = { h: 3600, m: 60, s: 1, ms: 0.001 };
+    return parseFloat(offset[1]) * units[offset[2] || "s"];
+  }
+
+  if (!/^[\d:.,]+$/.test(value)) return null;
+  return value
+    .replace(",", ".")
+    .split(":")
+    .reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Guesses the format of a lyrics text from its first characters
+ * @returns {string} "ttml", "vtt", "srt" or "lrc" (also used for plain text)
+ */
+export function detectLyricsFormat(text) {
+  const head = (text || "").replace(/^\uFEFF/, "").trimStart();
+
+  if (/^(<\?xml[^>]*>\s*)?<tt[\s>]/.test(head)) return "ttml";
+  if (/^WEBVTT\b/.test(head)) return "vtt";
+  if (SRT_HEAD_REGEX.test(head)) return "srt";
+  return "lrc";
+}
+
+/**
+ * Splits a leading "v1:", "v2:" or "bg:" singer marker off a lyric line
+ * @returns {Object} {voice, text}, voice is null when the line has no marker
+ */
+export function splitVoiceMarker(text) {
+  const marker = text.match(VOICE_MARKER_REGEX);
+  if (!marker) return { voice: null, text };
+  return {
+    voice: marker[1].toLowerCase(),
+    text: text.slice(marker[0].length),
+  };
+}
+
+/**
+ * Moves background vocal entries ("bg" voice) under the line they are sung over
+ * A background entry before any other line is kept as a line of its own
+ * @param {Array<Object>} entries - Entries sorted by start time, changed in place
+ */
+export function attachBackgroundVocals(entries) {
+  let lead = null;
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (entry.voice !== "bg") {
+      lead = entry;
+    } else if (lead && entry.text && !lead.background) {
+      lead.background = { text: entry.text };
+      if (entry.words) lead.background.words = entry.words;
+      entries.splice(i--, 1);
+    }
+  }
+}
+
+/**
+ * Computes durations and fills gaps for entries sorted by start time
+ * Entries without an end time run until the next stamp, the last one for 3 seconds
+ * Entries without text only end the previous one and are dropped
+ * @param {Array<Object>} entries - [{text, startTime, endTime, words?, ...}, ...]
+ * @returns {Array<Object>} [{text, startTime, duration, endTime, isGap?, words?}, ...]
+ */
+export function buildTimeline(entries) {
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (entry.endTime === null || entry.endTime === undefined) {
+      // Lines sharing a stamp (duets) all run until the next later stamp
+      const next = entries.find((other) => other.startTime > entry.startTime);
+      // Last lyric: estimate duration (assume ~3 seconds)
+      entry.endTime = next ? next.startTime : entry.startTime + 3;
+    }
+    entry.duration = entry.endTime - entry.startTime;
+
+    // Last word runs until its end stamp, or until the line ends
+    const words = entry.words;
+    if (words) {
+      const last = words[words.length - 1];
+      if (last.endTime === null || last.endTime > entry.endTime) {
+        last.endTime = Math.max(entry.endTime, last.startTime);
+      }
+    }
+
+    // Background vocals may trail past the line, but need an end too
+    const background = entry.background && entry.background.words;
+    if (background) {
+      const last = background[background.length - 1];
+      if (last.endTime === null) {
+        last.endTime = Math.max(entry.endTime, last.startTime);
+      }
+    }
+  }
+  const lyricsArray = entries.filter((entry) => entry.text);
+
+  // Fill gaps with silence markers, overlapping lines count until the latest end
+  const filledArray = [];
+  let prevEnd = 0;
+  for (let i = 0; i < lyricsArray.length; i++) {
+    const current = lyricsArray[i];
+    const gapStart = i === 0 ? 0 : prevEnd;
+
+    if (current.startTime - gapStart > 0.5) {
+      filledArray.push({
+        text: "-",
+        startTime: gapStart,
+        duration: current.startTime - gapStart,
+        endTime: current.startTime,
+        isGap: true,
+      });
+    }
+
+    filledArray.push(current);
+    prevEnd = Math.max(prevEnd, current.endTime);
+  }
+
+  return filledArray;
+}
+
+/**
+ * Reads the begin and end attributes of a TTML element
+ */
+function ttmlTiming(element) {
+  return {
+    startTime: parseClockTime(element.getAttribute("begin")),
+    endTime: parseClockTime(element.getAttribute("end")),
+  };
+}
+
+/**
+ * Collects the timed spans of a TTML element as words
+ * Untimed text between spans (usually spaces) sticks to the word before it
+ * Spans with ttm:role="x-bg" hold background vocals and go to their own list,
+ * spans with ttm:role="x-translation" hold the line's translation
+ * @returns {Object} {words, background, translation}, each null when empty
+ */
+function ttmlWords(paragraph) {
+  const words = [];
+  let background = null;
+  let translation = null;
+  const visit = (node) => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === 3 || child.nodeType === 4) {
+        if (words.length > 0) words[words.length - 1].text += child.textContent;
+      } else if (child.nodeType !== 1) {
+        // Comments and processing instructions carry no lyrics
+        continue;
+      } else if (child.localName === "br") {
+        if (words.length > 0) words[words.length - 1].text += " ";
+      } else if (child.getAttribute("ttm:role") === "x-bg") {
+        background = ttmlWords(child).words;
+      } else if (child.getAttribute("ttm:role") === "x-translation") {
+        translation = child.textContent.replace(/\s+/g, " ").trim() || null;
+      } else if (child.localName === "span" && child.hasAttribute("begin")) {
+        words.push({ text: child.textContent, ...ttmlTiming(child) });
+      } else {
+        visit(child);
+      }
+    }
+  };
+  visit(paragraph);
+
+  for (const list of [words, background]) {
+    if (list && list.length > 0) {
+      list[0].text = list[0].text.trimStart();
+      list[list.length - 1].text = list[list.length - 1].text.trimEnd();
+    }
+  }
+  return { words: words.length > 0 ? words : null, background, translation };
+}
+
+/**
+ * Reads the text of an untimed TTML line, leaving out its translation span
+ */
+function ttmlText(paragraph) {
+  let text = "";
+  for (const child of paragraph.childNodes) {
+    if (child.nodeType === 3 || child.nodeType === 4) {
+      text += child.textContent;
+    } else if (
+      child.nodeType === 1 &&
+      child.getAttribute("ttm:role") !== "x-translation"
+    ) {
+      text += ttmlText(child);
+    }
+  }
+  return text;
+}
+
+/**
+ * Reads the line translations Apple Music keeps in the TTML head
+ * <translation><text for="L1">...</text></translation>, matched by the itunes:key of each <p>
+ * Only the first translation is used
+ * @returns {Map<string, string>} Line key to translated text
+ */
+function ttmlHeadTranslations(doc) {
+  const translations = new Map();
+  const translation = doc.getElementsByTagName("translation")[0];
+  if (!translation) return translations;
+
+  for (const text of translation.getElementsByTagName("text")) {
+    const key = text.getAttribute("for");
+    const value = text.textContent.replace(/\s+/g, " ").trim();
+    if (key && value) translations.set(key, value);
+  }
+  return translations;
+}
+
+/**
+ * Reads the singers declared in the TTML head
+ * Agents of type "group" (everyone singing) map to the "group" voice
+ * @returns {Map<string, string>} Agent id to voice
+ */
+function ttmlVoices(doc) {
+  const voices = new Map();
+  for (const agent of doc.getElementsByTagName("ttm:agent")) {
+    const id = agent.getAttribute("xml:id");
+    if (id) {
+      voices.set(id, agent.getAttribute("type") === "group" ? "group" : id);
+    }
+  }
+  return voices;
+}
+
+/**
+ * Joins word texts into the line text
+ */
+function joinWords(words) {
+  return words
+    .map((word) => word.text)
+    .join("")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Parses TTML lyrics, as used by Apple Music, one line per <p>
+ * Timed <span>s inside a line become word timings
+ * Singers (ttm:agent) become the voice of each line, x-bg spans its background
+ * Translations come from x-translation spans or the <translation> list in the head
+ * Returns {lines: [{text, startTime, duration, endTime, isGap?, words?, translation?, voice?, background?}, ...], metadata}
+ */
+export function parseTTML(content) {
+  const metadata = { offset: 0 };
+  const doc = new DOMParser().parseFromString(content, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) {
+    return { lines: [], metadata };
+  }
+
+  const voices = ttmlVoices(doc);
+  const translations = ttmlHeadTranslations(doc);
+  const entries = [];
+  for (const paragraph of doc.getElementsByTagName("p")) {
+    const { words, background, translation } = ttmlWords(paragraph);
+    let { startTime, endTime } = ttmlTiming(paragraph);
+    if (words) {
+      if (startTime === null) startTime = words[0].startTime;
+      if (endTime === null) endTime = words[words.length - 1].endTime;
+    }
+    if (startTime === null) continue;
+
+    const text = words
+      ? joinWords(words)
+      : ttmlText(paragraph).replace(/\s+/g, " ").trim();
+    const entry = { text, startTime, endTime, duration: 0 };
+    if (words) entry.words = words;
+
+    const lineTranslation =
+      translation || translations.get(paragraph.getAttribute("itunes:key"));
+    if (lineTranslation) entry.translation = lineTranslation;
+
+    const agent = paragraph.getAttribute("ttm:agent");
+    if (agent) entry.voice = voices.get(agent) || agent;
+    if (background) {
+      entry.background = { text: joinWords(background), words: background };
+    }
+    entries.push(entry);
+  }
+
+  entries.sort((a, b) => a.startTime - b.startTime);
+  return { lines: buildTimeline(entries), metadata };
+}
+
+/**
+ * Removes subtitle markup such as <i>, <font> and {\an8} from cue text
+ */
+function stripCueMarkup(text) {
+  return text
+    .replace(/<[^>]*>/g, "")
+    .replace(/\{\\[^}]*\}/g, "")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ");
+}
+
+/**
+ * Splits a WebVTT cue on its inline <mm:ss.fff> stamps (karaoke-style cues)
+ * Returns array: [{text, startTime, endTime}, ...] or null when the cue has no stamps
+ */
+function parseCueWords(text, cueStart) {
+  const stamps = [...text.matchAll(VTT_WORD_STAMP_REGEX)];
+  if (stamps.length === 0) return null;
+
+  const words = [];
+  const pieces = [
+    { startTime: cueStart, text: text.slice(0, stamps[0].index) },
+    ...stamps.map((stamp, i) => ({
+      startTime: parseClockTime(stamp[1]),
+      text: text.slice(
+        stamp.index + stamp[0].length,
+        i < stamps.length - 1 ? stamps[i + 1].index : text.length
+      ),
+    })),
+  ];
+
+  for (const piece of pieces) {
+    const wordText = stripCueMarkup(piece.text);
+    if (words.length > 0) words[words.length - 1].endTime = piece.startTime;
+    if (wordText.trim()) {
+      words.push({ text: wordText, startTime: piece.startTime, endTime: null });
+    }
+  }
+
+  if (words.length === 0) return null;
+  words[0].text = words[0].text.trimStart();
+  words[words.length - 1].text = words[words.length - 1].text.trimEnd();
+  return words;
+}
+
+/**
+ * Parses SRT and WebVTT cues, one line per cue
+ * Multi-line cues are joined, they are wrapped lines of the same lyric
+ */
+function parseCues(content) {
+  const entries = [];
+  const blocks = content.replace(/^\uFEFF/, "").split(/\r?\n\s*\r?\n/);
+
+  for (const block of blocks) {
+    const rows = block.split(/\r?\n/).map((row) => row.trim());
+    const timingIndex = rows.findIndex((row) => CUE_TIMING_REGEX.test(row));
+    if (timingIndex < 0) continue; // Header, NOTE, STYLE and REGION blocks
+
+    const timing = rows[timingIndex].match(CUE_TIMING_REGEX);
+    const startTime = parseClockTime(timing[1]);
+    let raw = rows
+      .slice(timingIndex + 1)
+      .filter((row) => row)
+      .join(" ");
+
+    // WebVTT names the singer with <v Name>, SRT lines may use "v1:" markers
+    const voiceTag = raw.match(VTT_VOICE_REGEX);
+    let voice = voiceTag ? voiceTag[1].trim() : null;
+    if (!voice) ({ voice, text: raw } = splitVoiceMarker(raw));
+    const words = parseCueWords(raw, startTime);
+    const text = words
+      ? words
+          .map((word) => word.text)
+          .join("")
+          .trim()
+      : stripCueMarkup(raw).replace(/\s+/g, " ").trim();
+
+    const entry = {
+      text,
+      startTime,
+      endTime: parseClockTime(timing[2]),
+      duration: 0,
+    };
+    if (words) entry.words = words;
+    if (voice) entry.voice = voice;
+    entries.push(entry);
+  }
+
+  entries.sort((a, b) => a.startTime - b.startTime);
+  attachBackgroundVocals(entries);
+  return { lines: buildTimeline(entries), metadata: { offset: 0 } };
+}
+
+/**
+ * Parses SRT subtitles
+ * Returns {lines: [{text, startTime, duration, endTime, isGap?}, ...], metadata}
+ */
+export function parseSRT(content) {
+  return parseCues(content || "");
+}
+
+/**
+ * Parses WebVTT subtitles, inline cue timestamps become word timings
+ * Returns {lines: [{text, startTime, duration, endTime, isGap?, words?}, ...], metadata}
+ */
+export function parseWebVTT(content) {
+  return parseCues(content || "");
+}
@@ -0,0 +1,197 @@
+/**
+ * Lyrics Matching
+ * Scores lyric search results against the playing track
+ */
+
+import { LYRICS_MATCH } from "./config.js";
+
+// Markers of a different recording of the same song
+const VERSION_KEYWORDS = [
+  "live",
+  "remix",
+  "acoustic",
+  "instrumental",
+  "karaoke",
+  "cover",
+  "demo",
+  "sped up",
+  "slowed",
+  "nightcore",
+];
+
+/**
+ * Lowercases, strips accents and punctuation and collapses whitespace
+ * @param {string} text - Text to clean
+ * @returns {string} Cleaned text
+ */
+function simplify(text) {
+  return (text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Normalises a song title for comparison
+ * Drops "feat." credits, bracketed suffixes and " - Remastered"-style tails
+ * @param {string} title - Song title
+ * @returns {string} Normalised title
+ */
+export function normalizeTitle(title) {
+  return simplify(
+    (title || "")
+      .replace(/\s*[([{][^)\]}]*[)\]}]/g, "")
+      .replace(/\s+-\s+.*$/, "")
+      .replace(/\s+(feat\.?|ft\.?|featuring)\s.*$/i, "")
+  );
+}
+
+/**
+ * Normalises an artist credit into the list of individual artists
+ * @param {string} artist - Artist credit, e.g. "A feat. B & C"
+ * @returns {Array<string>} Normalised artist names
+ */
+export function normalizeArtists(artist) {
+  return (artist || "")
+    .split(
+      /\s*(?:,|&|;|\/|\sx\s|\sand\s|\sfeat\.?\s|\sft\.?\s|\sfeaturing\s)\s*/i
+    )
+    .map(simplify)
+    .filter((name) => name.length > 0);
+}
+
+/**
+ * Dice coefficient over character bigrams, 1 for identical strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity (0-1)
+ */
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bigram = a.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bigram = b.slice(i, i + 2);
+    const count = bigrams.get(bigram) || 0;
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      shared++;
+    }
+  }
+
+  return (2 * shared) / (a.length + b.length - 2);
+}
+
+/**
+ * Lists the version keywords found in a raw title
+ */
+function versionTags(title) {
+  const text = simplify(title);
+  return VERSION_KEYWORDS.filter((keyword) =>
+    new RegExp(`\\b${keyword}\\b`).test(text)
+  );
+}
+
+/**
+ * Scores how well a search result matches the playing track
+ * Fields missing on either side are left out of the score
+ * @param {Object} candidate - {title, artist, duration} of the result
+ * @param {Object} track - {title, artist, duration} of the playing track
+ * @returns {number} Confidence (0-1)
+ */
+export function scoreMatch(candidate, track) {
+  let score = 0;
+  let weight = 0;
+
+  if (candidate.title && track.title) {
+    score +=
+      LYRICS_MATCH.titleWeight *
+      similarity(normalizeTitle(candidate.title), normalizeTitle(track.title));
+    weight += LYRICS_MATCH.titleWeight;
+  }
+
+  if (candidate.artist && track.artist) {
+    // Best pairing of any credited artist on both sides
+    const candidateArtists = normalizeArtists(candidate.artist);
+    const trackArtists = normalizeArtists(track.artist);
+    let best = 0;
+    for (const a of candidateArtists) {
+      for (const b of trackArtists) best = Math.max(best, similarity(a, b));
+    }
+    score += LYRICS_MATCH.artistWeight * best;
+    weight += LYRICS_MATCH.artistWeight;
+  }
+
+  if (candidate.duration > 0 && track.duration > 0) {
+    const diff = Math.abs(candidate.duration - track.duration);
+    const closeness =
+      diff <= LYRICS_MATCH.durationTolerance
+        ? 1
+        : Math.max(
+            0,
+            1 -
+              (diff - LYRICS_MATCH.durationTolerance) /
+                (LYRICS_MATCH.durationLimit - LYRICS_MATCH.durationTolerance)
+          );
+    score += LYRICS_MATCH.durationWeight * closeness;
+    weight += LYRICS_MATCH.durationWeight;
+  }
+
+  // Nothing to compare, accept it only as a borderline match
+  if (weight === 0) return LYRICS_MATCH.threshold;
+
+  score /= weight;
+
+  // A live or remix result for a studio track (or the other way) is another recording
+  if (candidate.title && track.title) {
+    const candidateTags = versionTags(candidate.title);
+    const trackTags = versionTags(track.title);
+    const mismatch =
+      candidateTags.some((tag) => !trackTags.includes(tag)) ||
+      trackTags.some((tag) => !candidateTags.includes(tag));
+    if (mismatch) score -= LYRICS_MATCH.versionPenalty;
+  }
+
+  return Math.max(0, score);
+}
+
+/**
+ * Picks the best scoring candidate above the confidence threshold
+ * @param {Array<Object>} candidates - Search results
+ * @param {Object} track - {title, artist, duration} of the playing track
+ * @param {Function} describe - Maps a candidate to {title, artist, duration}
+ * @param {Function} [prefer] - Candidates passing this win over higher scored ones
+ * @returns {Object|null} Best candidate, or null when none is confident enough
+ */
+export function pickBestMatch(candidates, track, describe, prefer) {
+  let best = null;
+  let bestScore = -1;
+  let bestPreferred = false;
+
+  for (const candidate of candidates || []) {
+    const score = scoreMatch(describe(candidate), track);
+    if (score < LYRICS_MATCH.threshold) continue;
+
+    const preferred = prefer ? !!prefer(candidate) : false;
+    if (
+      (preferred && !bestPreferred) ||
+      (preferred === bestPreferred && score > bestScore)
+    ) {
+      best = candidate;
+      bestScore = score;
+      bestPreferred = preferred;
+    }
+  }
+
+  return best;
+}
@@ -0,0 +1,53 @@
+/**
+ * Lyrics Offsets
+ * Remembers a timing correction for songs whose lyrics are early or late
+ */
+
+import { LYRICS_OFFSETS } from "./config.js";
+import { songKey } from "./lyricsCache.js";
+
+/**
+ * Reads all stored offsets
+ * @returns {Object} Offsets in milliseconds keyed by song
+ */
+function loadOffsets() {
+  try {
+    const raw = localStorage.getItem(LYRICS_OFFSETS.storageKey);
+    return raw ? JSON.parse(raw) : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Returns the stored offset of a song
+ * @param {string} artist - Track artist
+ * @param {string} title - Track title
+ * @returns {number} Offset in milliseconds, 0 when none is stored
+ */
+export function getTrackOffset(artist, title) {
+  return loadOffsets()[songKey(artist, title)] || 0;
+}
+
+/**
+ * Stores the offset of a song, an offset of 0 removes it
+ * @param {string} artist - Track artist
+ * @param {string} title - Track title
+ * @param {number} offset - Offset in milliseconds
+ */
+export function setTrackOffset(artist, title, offset) {
+  const offsets = loadOffsets();
+  const key = songKey(artist, title);
+
+  if (offset) {
+    offsets[key] = offset;
+  } else {
+    delete offsets[key];
+  }
+
+  try {
+    localStorage.setItem(LYRICS_OFFSETS.storageKey, JSON.stringify(offsets));
+  } catch (e) {
+    // Storage full or unavailable, the offset only lasts for this session
+  }
+}
@@ -0,0 +1,433 @@
+/**
+ * Lyrics Providers
+ * Registry of lyric sources and the shared fetch helper they all go through
+ */
+
+import { pickBestMatch } from "./lyricsMatch.js";
+import { LYRICS_NETWORK } from "./config.js";
+
+/**
+ * Registered providers by id, in registration order
+ */
+const providers = new Map();
+
+function formatSearch(artist, title) {
+  return {
+    artist: (artist || "").trim().toLowerCase(),
+    title: (title || "").trim().toLowerCase(),
+    artistClean: (artist || "").trim().toLowerCase().replace(/\s+/g, " "),
+    titleClean: (title || "").trim().toLowerCase().replace(/\s+/g, " "),
+  };
+}
+
+/**
+ * Creates an abort controller that fires after a timeout or when the caller's signal aborts
+ */
+function createTimeoutController(ms, signal) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), ms);
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    signal.addEventListener("abort", () => controller.abort(), { once: true });
+  }
+  return { controller, timeoutId };
+}
+
+/**
+ * Creates the error thrown for failures worth retrying: timeouts, 5xx, 429 and lost connections
+ */
+export function transientError(message) {
+  const error = new Error(message);
+  error.transient = true;
+  return error;
+}
+
+/**
+ * Creates the error thrown when a request fails below HTTP while the browser reports
+ * a connection: DNS failures, refused or reset connections, CORS rejections.
+ * Browsers don't tell these apart, so it is neither a miss nor surely temporary
+ */
+export function unreachableError(message) {
+  const error = new Error(message);
+  error.unreachable = true;
+  return error;
+}
+
+/**
+ * Tells whether a source could not be reached at all, see unreachableError
+ * @param {Error} error - Error thrown by fetchText, fetchJson or a provider
+ */
+export function isUnreachableError(error) {
+  return !!(error && error.unreachable);
+}
+
+/**
+ * Tells whether a lookup failed on a temporary problem rather than a miss
+ * @param {Error} error - Error thrown by fetchText, fetchJson or a provider
+ */
+export function isTransientError(error) {
+  return !!(error && error.transient);
+}
+
+/**
+ * Tells whether the browser reports a network connection
+ */
+export function isOnline() {
+  return navigator.onLine !== false;
+}
+
+/**
+ * Resolves once the browser is back online, or right away when the signal aborts
+ * @param {AbortSignal} [signal] - Stops waiting
+ */
+export function waitForOnline(signal) {
+  return waitFor(null, signal);
+}
+
+/**
+ * Resolves after a delay, early when the signal aborts or the connection comes back
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Stops waiting
+ */
+export function waitForRetry(ms, signal) {
+  return waitFor(ms, signal);
+}
+
+/**
+ * Waits for the "online" event, a timeout when ms is given, or an abort
+ */
+function waitFor(ms, signal) {
+  return new Promise((resolve) => {
+    if ((ms === null && isOnline()) || (signal && signal.aborted)) {
+      resolve();
+      return;
+    }
+
+    let timeoutId = null;
+    const done = () => {
+      clearTimeout(timeoutId);
+      window.removeEventListener("online", done);
+      if (signal) signal.removeEventListener("abort", done);
+      resolve();
+    };
+    if (ms !== null) timeoutId = setTimeout(done, ms);
+    window.addEventListener("online", done);
+    if (signal) signal.addEventListener("abort", done);
+  });
+}
+
+/**
+ * Runs one request, null for a miss (404 and other client errors)
+ * Throws a transient error on timeouts, 5xx, 429 and while offline,
+ * an unreachable error on other fetch failures (CORS, DNS, refused connections)
+ */
+async function request(url, controller, headers) {
+  let response;
+  try {
+    response = await fetch(url, { signal: controller.signal, headers });
+  } catch (e) {
+    if (controller.signal.aborted) throw transientError("Timed out");
+    if (!isOnline()) throw transientError(e.message);
+    throw unreachableError(e.message);
+  }
+
+  if (response.status === 429 || response.status >= 500) {
+    throw transientError(`HTTP ${response.status}`);
+  }
+  if (!response.ok) return null;
+
+  try {
+    return await response.text();
+  } catch (e) {
+    throw transientError(e.message);
+  }
+}
+
+/**
+ * Builds the proxied address of a URL from a proxy template
+ * Templates without a {url} placeholder get the encoded URL appended
+ */
+function proxyUrl(template, url) {
+  const target = encodeURIComponent(url);
+  return template.includes("{url}")
+    ? template.replace("{url}", target)
+    : template + target;
+}
+
+/**
+ * Builds a provider request URL from its base URL, overridden or default
+ * @param {string} id - Provider id
+ * @param {string} path - Path and query appended to the base URL
+ * @param {Object} options - Search options, endpoints maps ids to base URLs
+ */
+function endpointUrl(id, path, options) {
+  const base =
+    (options.endpoints && options.endpoints[id]) ||
+    LYRICS_NETWORK.endpoints[id];
+  return base.replace(/\/+$/, "") + path;
+}
+
+/**
+ * Fetches text with a timeout, falling back to the CORS proxy when one is given
+ * Every provider request goes through here
+ * @param {string} url - Request URL
+ * @param {Object} options - {timeout, signal, headers, proxy}
+ *   proxy is a proxy URL template, requests carrying API keys must not pass one
+ * @returns {Promise<string|null>} Response body, null for a miss or when the signal aborted
+ * @throws {Error} Transient error (see isTransientError) when the source could not answer,
+ *   unreachable error (see isUnreachableError) when it could not be reached at all
+ */
+export async function fetchText(url, options = {}) {
+  const { timeout = 5000, signal, headers, proxy } = options;
+  const { controller, timeoutId } = createTimeoutController(timeout, signal);
+
+  try {
+    try {
+      return await request(url, controller, headers);
+    } catch (e) {
+      // Only unreachable sources go through the proxy, and not once timed out
+      if (!proxy || controller.signal.aborted) throw e;
+      return await request(proxyUrl(proxy, url), controller, headers);
+    }
+  } catch (error) {
+    if (signal && signal.aborted) return null;
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Fetches JSON through fetchText
+ * @param {string} url - Request URL
+ * @param {Object} options - {timeout, signal, headers, proxy}
+ * @returns {Promise<any|null>} Parsed JSON, or null for a miss or invalid JSON
+ * @throws {Error} Transient or unreachable error, as fetchText
+ */
+export async function fetchJson(url, options = {}) {
+  const text = await fetchText(url, {
+    ...options,
+    headers: { Accept: "application/json", ...options.headers },
+  });
+  if (!text) return null;
+
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Registers a lyrics source
+ * @param {string} id - Id used in the "lyricsProviders" setting
+ * @param {Object} provider - {name, search(artist, title, duration, options)}
+ *   search resolves to {lyrics, source, synced, translation?} or null,
+ *   translation being an LRC text with the same timestamps as lyrics,
+ *   and rejects with a transient or unreachable error when the source could not answer
+ */
+export function registerLyricsProvider(id, provider) {
+  providers.set(id, { id, ...provider });
+}
+
+/**
+ * Returns providers in the requested order, skipping unknown ids
+ * @param {Array<string>} [order] - Provider ids, all providers when omitted
+ * @returns {Array<Object>} Provider objects
+ */
+export function getLyricsProviders(order) {
+  if (!order) return [...providers.values()];
+  return order.map((id) => providers.get(id)).filter(Boolean);
+}
+
+/**
+ * Better Lyrics API - Syllable/Word level support
+ */
+async function searchBetterLyrics(artist, title, duration, options = {}) {
+  const { artistClean, titleClean } = formatSearch(artist, title);
+  const data = await fetchJson(
+    endpointUrl(
+      "betterlyrics",
+      `/search?q=${encodeURIComponent(`${artistClean} ${titleClean}`)}`,
+      options
+    ),
+    { signal: options.signal, proxy: options.proxy }
+  );
+  if (!data || !data.tracks || data.tracks.length === 0) return null;
+
+  const track = pickBestMatch(
+    data.tracks.filter((t) => t.syncedLyrics),
+    { artist, title, duration },
+    (t) => ({
+      title: t.title || t.name,
+      artist: t.artist || t.artistName,
+      duration: t.duration,
+    })
+  );
+  if (!track) return null;
+
+  return {
+    lyrics: track.syncedLyrics,
+    source: "Better Lyrics",
+    synced: true,
+  };
+}
+
+/**
+ * Musixmatch API - Word level support
+ */
+async function searchMusixmatch(artist, title, duration, options = {}) {
+  if (!options.musixmatchKey) return null;
+
+  const { artistClean, titleClean } = formatSearch(artist, title);
+  const data = await fetchJson(
+    endpointUrl(
+      "musixmatch",
+      `/matcher.lyrics.get?q_artist=${encodeURIComponent(
+        artistClean
+      )}&q_track=${encodeURIComponent(titleClean)}&apikey=${
+        options.musixmatchKey
+      }`,
+      options
+    ),
+    { signal: options.signal }
+  );
+
+  if (data && data.message.status === 200 && data.message.body.lyrics) {
+    return {
+      lyrics: data.message.body.lyrics.lyrics_body,
+      source: "Musixmatch",
+      synced: false,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * LRClib API - No auth required, best reliability
+ */
+async function searchLRClib(artist, title, duration, options = {}) {
+  const { artistClean, titleClean } = formatSearch(artist, title);
+
+  const queries = [
+    `/search?artist=${encodeURIComponent(
+      artistClean
+    )}&track=${encodeURIComponent(titleClean)}`,
+    `/search?q=${encodeURIComponent(`${artistClean} ${titleClean}`)}`,
+  ].map((path) => endpointUrl("lrclib", path, options));
+
+  for (let apiUrl of queries) {
+    const results = await fetchJson(apiUrl, {
+      signal: options.signal,
+      timeout: 10000,
+      proxy: options.proxy,
+    });
+    if (!results || results.length === 0) continue;
+
+    // Synced lyrics win over a closer match that only has plain text
+    const track = pickBestMatch(
+      results.filter((t) => t.syncedLyrics || t.plainLyrics),
+      { artist, title, duration },
+      (t) => ({
+        title: t.trackName,
+        artist: t.artistName,
+        duration: t.duration,
+      }),
+      (t) => t.syncedLyrics
+    );
+    if (!track) continue;
+
+    return {
+      lyrics: track.syncedLyrics || track.plainLyrics,
+      source: "LRClib",
+      synced: !!track.syncedLyrics,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Extracts the lyrics text from a Genius song page
+ * Line breaks are kept, section headers such as [Chorus] stay on their own line
+ * @returns {string|null} Plain lyrics, null when the page has no lyrics containers
+ */
+function extractGeniusLyrics(html) {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  const containers = doc.querySelectorAll("[data-lyrics-container]");
+  if (containers.length === 0) return null;
+
+  const text = [...containers]
+    .map((container) => {
+      // Headers and ads inside the containers are not part of the song
+      container
+        .querySelectorAll("[data-exclude-from-selection]")
+        .forEach((element) => element.remove());
+      container
+        .querySelectorAll("br")
+        .forEach((br) => br.replaceWith(doc.createTextNode("\n")));
+      return container.textContent;
+    })
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+  return text || null;
+}
+
+/**
+ * Genius API - finds the song, then reads the lyrics from its page
+ */
+async function searchGenius(artist, title, duration, options = {}) {
+  if (!options.geniusKey) return null;
+
+  const { artistClean, titleClean } = formatSearch(artist, title);
+  const data = await fetchJson(
+    endpointUrl(
+      "genius",
+      `/search?q=${encodeURIComponent(`${titleClean} ${artistClean}`)}`,
+      options
+    ),
+    {
+      signal: options.signal,
+      headers: { Authorization: `Bearer ${options.geniusKey}` },
+    }
+  );
+
+  const hits = data && data.response.hits;
+  if (!hits || hits.length === 0) return null;
+
+  const hit = pickBestMatch(hits, { artist, title, duration }, (h) => ({
+    title: h.result.title,
+    artist: h.result.primary_artist.name,
+  }));
+  if (!hit) return null;
+
+  // The page carries no API key, so it may go through the proxy
+  const html = await fetchText(hit.result.url, {
+    signal: options.signal,
+    timeout: 10000,
+    proxy: options.proxy,
+  });
+  const lyrics = html && extractGeniusLyrics(html);
+  if (!lyrics) return null;
+
+  return {
+    lyrics,
+    source: "Genius",
+    synced: false,
+    url: hit.result.url,
+  };
+}
+
+// Built-in providers, registration order is the default priority
+registerLyricsProvider("betterlyrics", {
+  name: "Better Lyrics",
+  search: searchBetterLyrics,
+});
+registerLyricsProvider("musixmatch", {
+  name: "Musixmatch",
+  search: searchMusixmatch,
+});
+registerLyricsProvider("lrclib", { name: "LRClib", search: searchLRClib });
+registerLyricsProvider("genius", { name: "Genius", search: searchGenius });
@@ -0,0 +1,451 @@
+/**
+ * Lyrics View
+ * Builds the lyric lines once per song, then only toggles classes and scrolls
+ */
+
+import {
+  LYRICS_VIEW,
+  LYRICS_LAYOUTS,
+  LYRICS_TRANSLATION_MODES,
+} from "./config.js";
+
+/**
+ * What is currently on screen
+ */
+const view = {
+  lyrics: null, // Lyrics array the lines were built for
+  lines: [], // Line elements, same order as the lyrics
+  activeIndex: -1,
+  wordFills: [], // Last fill written to each word (or gap dot) of the active line
+  backgroundFills: [], // Same for the background vocals of the active line
+  gapCountdown: null, // Countdown text shown in the active gap
+  gapPulse: null, // Audio level last written to the active gap
+  beatGlow: null, // Beat glow last written to the container
+  scrollTop: 0, // Unrounded scroll position
+  scrollTarget: null, // Scroll position being eased to, null when settled
+  lastFrame: 0,
+};
+
+/**
+ * Switches the layout mode, applied right away without rebuilding the lines
+ * @param {string} layout - One of LYRICS_LAYOUTS
+ */
+export function setLyricsLayout(layout) {
+  const container = document.getElementById("lyrics-container");
+  if (!container) return;
+
+  for (const name of LYRICS_LAYOUTS) {
+    container.classList.toggle(`layout-${name}`, name === layout);
+  }
+
+  // Lines move around between layouts, so re-center on the next update
+  view.activeIndex = -2;
+}
+
+/**
+ * Chooses whether the original, the translation or both are shown
+ * @param {string} mode - One of LYRICS_TRANSLATION_MODES
+ */
+export function setLyricsTranslationMode(mode) {
+  const container = document.getElementById("lyrics-container");
+  if (!container) return;
+
+  for (const name of LYRICS_TRANSLATION_MODES) {
+    container.classList.toggle(`translation-${name}`, name === mode);
+  }
+  view.activeIndex = -2;
+}
+
+/**
+ * Sets how much the active line glows with the beat
+ * @param {number} glow - Glow from 0 to 1
+ */
+export function setLyricsBeatGlow(glow) {
+  const container = document.getElementById("lyrics-container");
+  if (!container) return;
+
+  const rounded = Math.round(Math.min(1, glow) * 100) / 100;
+  if (view.beatGlow !== rounded) {
+    view.beatGlow = rounded;
+    container.style.setProperty("--beat-glow", rounded);
+  }
+}
+
+/**
+ * Forgets the built lines, the next update rebuilds them
+ */
+function resetView() {
+  view.lyrics = null;
+  view.lines = [];
+  view.activeIndex = -1;
+  view.wordFills = [];
+  view.backgroundFills = [];
+  view.scrollTarget = null;
+}
+
+/**
+ * Replaces the lyrics with a status message, an empty text clears the container
+ * @param {string} text - Message such as "Searching lyrics..."
+ * @param {boolean} [isError] - Shows the message as an error
+ */
+export function showLyricsMessage(text, isError = false) {
+  const container = document.getElementById("lyrics-container");
+  if (!container) return;
+
+  resetView();
+  container.classList.remove("static-sheet");
+  container.replaceChildren();
+  container.scrollTop = 0;
+
+  if (text) {
+    const message = document.createElement("div");
+    message.className = isError
+      ? "lyrics-source lyrics-message lyrics-error"
+      : "lyrics-source lyrics-message";
+    message.textContent = text;
+    container.appendChild(message);
+  }
+}
+
+/**
+ * Builds the source header text, flagging lyrics that are not synced
+ */
+function sourceLabel(state) {
+  let label = "";
+  if (!state.lyricsSynced) {
+    label = state.lyricsEstimated
+      ? " · Unsynced (estimated timing)"
+      : " · Unsynced";
+  }
+  return `From: ${state.lyricsSource}${label}`;
+}
+
+/**
+ * Fills an element with the lyric text, one span per word when timed
+ */
+function appendWords(element, lyric) {
+  if (lyric.words) {
+    for (const word of lyric.words) {
+      const span = document.createElement("span");
+      span.className = "lyrics-word";
+      span.textContent = word.text;
+      element.appendChild(span);
+    }
+  } else {
+    element.textContent = lyric.text || "-";
+  }
+}
+
+/**
+ * Fills a gap line with the dots and countdown of the instrumental gap indicator
+ */
+function appendGapIndicator(element) {
+  element.classList.add("lyrics-gap");
+  for (let i = 0; i < LYRICS_VIEW.gapDots; i++) {
+    const dot = document.createElement("span");
+    dot.className = "gap-dot";
+    element.appendChild(dot);
+  }
+  const countdown = document.createElement("span");
+  countdown.className = "gap-countdown";
+  element.appendChild(countdown);
+}
+
+/**
+ * Tells whether a gap is too short to show, the line before it then stays active
+ */
+function isHiddenGap(lyric, state) {
+  return lyric.isGap && lyric.duration < state.minLyricsGap;
+}
+
+/**
+ * Gives each singer a side, in order of appearance
+ * The first voice is primary (left), the second secondary (right), further ones alternate
+ * Returns null for songs with a single voice, so they keep the normal layout
+ */
+function voiceClasses(lyrics) {
+  const voices = [];
+  for (const lyric of lyrics) {
+    if (lyric.voice && !voices.includes(lyric.voice)) voices.push(lyric.voice);
+  }
+  if (voices.length < 2) return null;
+
+  const classes = new Map();
+  let slot = 0;
+  for (const voice of voices) {
+    if (voice === "group" || voice === "bg") {
+      classes.set(voice, `voice-${voice}`);
+    } else {
+      classes.set(
+        voice,
+        slot++ % 2 === 0 ? "voice-primary" : "voice-secondary"
+      );
+    }
+  }
+  return classes;
+}
+
+/**
+ * Creates the header and one element per lyric line
+ */
+function buildLines(state, container) {
+  const header = document.createElement("div");
+  header.className = "lyrics-source";
+  header.textContent = sourceLabel(state);
+
+  const fragment = document.createDocumentFragment();
+  fragment.appendChild(header);
+
+  const voices = voiceClasses(state.currentLyrics);
+  // Karaoke alternates rows over the lines that are shown, hidden gaps don't count
+  let shown = 0;
+
+  view.lines = state.currentLyrics.map((lyric) => {
+    const line = document.createElement("div");
+    line.className = "lyrics-line upcoming-line";
+    if (!state.lyricsSynced) line.classList.add("plain-line");
+    if (lyric.isGap) line.classList.add("gap-line");
+    if (lyric.isSection) line.classList.add("section-line");
+    if (isHiddenGap(lyric, state)) {
+      line.classList.add("hidden-gap");
+    } else if (shown++ % 2 === 1) {
+      line.classList.add("odd-line");
+    }
+    if (voices && voices.has(lyric.voice)) {
+      line.classList.add(voices.get(lyric.voice));
+    }
+
+    const original = document.createElement("div");
+    original.className = "lyrics-original";
+    if (lyric.isGap) {
+      appendGapIndicator(original);
+    } else {
+      appendWords(original, lyric);
+    }
+    line.appendChild(original);
+
+    if (lyric.background) {
+      const background = document.createElement("div");
+      background.className = "lyrics-background";
+      appendWords(background, lyric.background);
+      line.appendChild(background);
+    }
+
+    if (lyric.romanized) {
+      const romanized = document.createElement("div");
+      romanized.className = "lyrics-romanized";
+      romanized.textContent = lyric.romanized;
+      line.appendChild(romanized);
+    }
+
+    if (lyric.translation) {
+      const translation = document.createElement("div");
+      translation.className = "lyrics-translation";
+      translation.textContent = lyric.translation;
+      line.appendChild(translation);
+      line.classList.add("has-translation");
+    }
+
+    fragment.appendChild(line);
+    return line;
+  });
+
+  container.replaceChildren(fragment);
+  container.scrollTop = 0;
+
+  view.lyrics = state.currentLyrics;
+  view.activeIndex = -1;
+  view.wordFills = [];
+  view.backgroundFills = [];
+  view.scrollTop = 0;
+  view.scrollTarget = null;
+}
+
+/**
+ * Returns the index of the line playing at the given time, -1 before the first one
+ * Hidden gaps are skipped, so the line before them stays active
+ */
+function findActiveIndex(lyrics, currentTime, state) {
+  let activeIndex = -1;
+  for (let i = 0; i < lyrics.length; i++) {
+    if (lyrics[i].startTime > currentTime) break;
+    if (!isHiddenGap(lyrics[i], state)) activeIndex = i;
+  }
+  return activeIndex;
+}
+
+/**
+ * Moves the position classes and starts scrolling to the new line
+ * past/active/upcoming drive the full sheet, next-line and near-line
+ * pick what the subtitle, karaoke and focus layouts keep visible
+ */
+function setActiveLine(index, container) {
+  // The preview is the next line that is shown, hidden gaps are passed over
+  let next = index + 1;
+  while (
+    next < view.lines.length &&
+    view.lines[next].classList.contains("hidden-gap")
+  ) {
+    next++;
+  }
+
+  view.lines.forEach((line, i) => {
+    line.classList.toggle("past-line", i < index);
+    line.classList.toggle("active-line", i === index);
+    line.classList.toggle("upcoming-line", i > index);
+    line.classList.toggle("next-line", i === next);
+    line.classList.toggle(
+      "near-line",
+      Math.abs(i - index) <= LYRICS_VIEW.focusRange
+    );
+  });
+  view.activeIndex = index;
+  view.wordFills = [];
+  view.backgroundFills = [];
+  view.gapCountdown = null;
+  view.gapPulse = null;
+
+  if (index < 0) return;
+
+  // Center the active line, starting from wherever the sheet is now
+  const line = view.lines[index];
+  const maxScroll = container.scrollHeight - container.clientHeight;
+  const target =
+    line.offsetTop + line.offsetHeight / 2 - container.clientHeight / 2;
+  view.scrollTop = container.scrollTop;
+  view.scrollTarget = Math.max(0, Math.min(maxScroll, target));
+}
+
+/**
+ * Fills each word from left to right as it is sung
+ * @param {Array<Object>} words - Word timings
+ * @param {HTMLElement} element - Element holding one span per word
+ * @param {Array<number>} fills - Last fill written to each word, updated in place
+ */
+function updateWordFills(words, element, fills, currentTime) {
+  words.forEach((word, i) => {
+    const length = word.endTime - word.startTime;
+    const progress = length > 0 ? (currentTime - word.startTime) / length : 1;
+    const fill = Math.round(Math.max(0, Math.min(1, progress)) * 1000) / 10;
+
+    if (fills[i] !== fill) {
+      fills[i] = fill;
+      element.children[i].style.setProperty("--fill", `${fill}%`);
+    }
+  });
+}
+
+/**
+ * Formats the seconds left in a gap as "5" or "1:05"
+ */
+function formatCountdown(seconds) {
+  const total = Math.max(0, Math.ceil(seconds));
+  if (total < 60) return `${total}`;
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Fills the gap dots one after another and counts down to the next line
+ * With the pulse setting on, the dots also follow the audio level
+ */
+function updateGap(lyric, line, currentTime, state) {
+  const indicator = line.firstChild;
+  const progress =
+    lyric.duration > 0 ? (currentTime - lyric.startTime) / lyric.duration : 1;
+
+  for (let i = 0; i < indicator.children.length - 1; i++) {
+    const fill =
+      Math.round(
+        Math.max(0, Math.min(1, progress * LYRICS_VIEW.gapDots - i)) * 100
+      ) / 100;
+    if (view.wordFills[i] !== fill) {
+      view.wordFills[i] = fill;
+      indicator.children[i].style.setProperty("--fill", fill);
+    }
+  }
+
+  const countdown = formatCountdown(lyric.endTime - currentTime);
+  if (view.gapCountdown !== countdown) {
+    view.gapCountdown = countdown;
+    indicator.lastChild.textContent = countdown;
+  }
+
+  const pulse = state.lyricsGapPulse
+    ? Math.round(Math.min(1, state.audioLevel || 0) * 100) / 100
+    : 0;
+  if (view.gapPulse !== pulse) {
+    view.gapPulse = pulse;
+    line.style.setProperty("--pulse", pulse);
+  }
+}
+
+/**
+ * Eases the scroll position towards the target, frame rate independent
+ */
+function animateScroll(container) {
+  const now = performance.now();
+  const elapsed = Math.min(now - view.lastFrame, 100);
+  view.lastFrame = now;
+
+  if (view.scrollTarget === null) return;
+
+  const ease = 1 - Math.exp(-elapsed / LYRICS_VIEW.scrollSmoothing);
+  view.scrollTop += (view.scrollTarget - view.scrollTop) * ease;
+  if (Math.abs(view.scrollTarget - view.scrollTop) < 0.5) {
+    view.scrollTop = view.scrollTarget;
+    view.scrollTarget = null;
+  }
+  container.scrollTop = view.scrollTop;
+}
+
+/**
+ * Updates the lyrics container with YouTube Music-style display
+ * Uses precise timing to highlight current lyric, word by word when available
+ */
+export function updateLyricsSync(currentTime, state) {
+  const container = document.getElementById("lyrics-container");
+  if (!state.currentLyrics || !container || state.currentLyrics.length === 0)
+    return;
+
+  // Positive offsets move the lyrics earlier
+  currentTime += (state.lyricsOffset + state.trackLyricsOffset) / 1000;
+
+  if (view.lyrics !== state.currentLyrics) {
+    buildLines(state, container);
+  }
+
+  // Plain lyrics without estimated timing stay a static sheet in every layout
+  const isStatic = !state.lyricsSynced && !state.lyricsEstimated;
+  container.classList.toggle("static-sheet", isStatic);
+  const activeIndex = isStatic
+    ? -1
+    : findActiveIndex(state.currentLyrics, currentTime, state);
+
+  if (activeIndex !== view.activeIndex) {
+    setActiveLine(activeIndex, container);
+  }
+
+  const activeLyric = state.currentLyrics[activeIndex];
+  const activeLine = view.lines[activeIndex];
+  if (activeLyric && activeLyric.isGap) {
+    updateGap(activeLyric, activeLine, currentTime, state);
+  }
+  if (activeLyric && activeLyric.words) {
+    updateWordFills(
+      activeLyric.words,
+      activeLine.firstChild,
+      view.wordFills,
+      currentTime
+    );
+  }
+  if (activeLyric && activeLyric.background && activeLyric.background.words) {
+    updateWordFills(
+      activeLyric.background.words,
+      activeLine.querySelector(".lyrics-background"),
+      view.backgroundFills,
+      currentTime
+    );
+  }
+
+  animateScroll(container);
+}
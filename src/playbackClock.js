@@ -0,0 +1,88 @@
+/**
+ * Playback Clock
+ * Extrapolates the playhead between Lively position updates
+ */
+
+import { PLAYBACK_CLOCK } from "./config.js";
+
+/**
+ * Restarts the clock, used when a new track begins
+ * @param {Object} state - Application state object
+ * @param {number} position - Starting position in seconds
+ */
+export function resetPlaybackClock(state, position = 0) {
+  const now = performance.now();
+  state.clock = {
+    anchorPosition: position,
+    anchorTime: now,
+    correction: 0,
+    isPlaying: true,
+    lastReported: null,
+    lastChangeTime: now,
+  };
+  state.currentPosition = position;
+}
+
+/**
+ * Returns the interpolated playhead position
+ * @param {Object} state - Application state object
+ * @returns {number} Position in seconds
+ */
+export function getPlaybackTime(state) {
+  const clock = state.clock;
+  if (!clock) return state.currentPosition;
+  if (!clock.isPlaying) return clock.anchorPosition;
+
+  const elapsed = performance.now() - clock.anchorTime;
+
+  // Small drift is blended in over slewTime so the playhead never jumps
+  const slew = Math.min(1, elapsed / PLAYBACK_CLOCK.slewTime);
+  let position =
+    clock.anchorPosition + elapsed / 1000 + clock.correction * slew;
+
+  if (state.currentDuration > 0) {
+    position = Math.min(position, state.currentDuration);
+  }
+  return Math.max(0, position);
+}
+
+/**
+ * Re-syncs the clock with a position reported by Lively
+ * @param {Object} state - Application state object
+ * @param {number} position - Reported position in seconds
+ * @param {boolean} [isPlaying] - Reported playback state, inferred when undefined
+ */
+export function syncPlaybackClock(state, position, isPlaying) {
+  if (!state.clock) resetPlaybackClock(state, position);
+
+  const clock = state.clock;
+  const now = performance.now();
+
+  // Without a reported state, a position that stopped moving means paused
+  if (clock.lastReported === null || position !== clock.lastReported) {
+    clock.lastChangeTime = now;
+  }
+  clock.lastReported = position;
+  if (isPlaying === undefined) {
+    isPlaying = now - clock.lastChangeTime < PLAYBACK_CLOCK.stallTime;
+  }
+
+  const predicted = getPlaybackTime(state);
+  const drift = position - predicted;
+
+  if (
+    !isPlaying ||
+    !clock.isPlaying ||
+    Math.abs(drift) > PLAYBACK_CLOCK.seekThreshold
+  ) {
+    // Paused, resumed or seeked: jump straight to the reported position
+    clock.anchorPosition = position;
+    clock.correction = 0;
+  } else {
+    // Regular update: keep going from where we are and ease out the drift
+    clock.anchorPosition = predicted;
+    clock.correction = drift;
+  }
+  clock.anchorTime = now;
+  clock.isPlaying = isPlaying;
+}
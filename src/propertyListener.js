@@ -3,15 +3,25 @@
  * Handles LivelyProperties.json changes from user settings
  */
 
-import { setDynamicColors } from "./colors.js";
+import { setDynamicColors, setLyricsVoiceColors } from "./colors.js";
 import { render } from "./renderer.js";
+import { clearLyricsCache } from "./lyricsCache.js";
+import { setTrackOffset } from "./lyricsOffsets.js";
+import { setLyricsLayout, setLyricsTranslationMode } from "./lyricsView.js";
+import {
+  LYRICS_LAYOUTS,
+  LYRICS_TRANSLATION_MODES,
+  SPECTRUM_SCALES,
+  VISUALIZER_STYLES,
+} from "./config.js";
+import { romanizeLyrics } from "./romanize.js";
 
 /**
  * Called when a property in LivelyProperties.json is changed by the user
  * @param {string} name - Property name
  * @param {any} val - New property value
  * @param {Object} state - Application state object
- * @param {Object} lines - Line coordinate objects
+ * @param {Array<Object>} lines - Line endpoints, see app.js
  * @param {HTMLImageElement} img - Album art image element
  */
 export function livelyPropertyListener(name, val, state, lines, img) {
@@ -88,12 +98,14 @@ export function livelyPropertyListener(name, val, state, lines, img) {
       state.defaultPrimaryColor = val;
       if (!state.useDynamicColors) {
         state.primaryColor = val;
+        setLyricsVoiceColors(state);
       }
       break;
     case "secondaryColor":
       state.defaultSecondaryColor = val;
       if (!state.useDynamicColors) {
         state.secondaryColor = val;
+        setLyricsVoiceColors(state);
       }
       break;
     case "minLevel":
@@ -105,11 +117,133 @@ export function livelyPropertyListener(name, val, state, lines, img) {
     case "smoothing":
       state.smoothing = val;
       break;
+    case "visualizerStyle":
+      state.visualizerStyle = VISUALIZER_STYLES[val] || VISUALIZER_STYLES[0];
+      break;
+    case "spectrumScale":
+      state.spectrumScale = SPECTRUM_SCALES[val] || SPECTRUM_SCALES[2];
+      break;
+    case "spectrumBands":
+      state.spectrumBands = val;
+      break;
+    case "bassCrossover":
+      state.bassCrossover = val;
+      break;
+    case "highsCrossover":
+      state.highsCrossover = val;
+      break;
+    case "visualizerAttack":
+      state.attackTime = val;
+      break;
+    case "visualizerRelease":
+      state.releaseTime = val;
+      break;
+    case "visualizerPeaks":
+      state.peakHold = val;
+      break;
+    case "visualizerPeakHold":
+      state.peakHoldTime = val;
+      break;
+    case "visualizerPeakDecay":
+      state.peakDecay = val;
+      break;
+    case "beatSensitivity":
+      state.beatSensitivity = val;
+      break;
+    case "beatArtPulse":
+      state.beatArtPulse = val;
+      break;
+    case "beatLineFlash":
+      state.beatLineFlash = val;
+      break;
+    case "beatLyricGlow":
+      state.beatLyricGlow = val;
+      break;
     case "musixmatchKey":
       state.musixmatchKey = val || null;
       break;
     case "geniusKey":
       state.geniusKey = val || null;
       break;
+    case "localLyricsFolder":
+      state.localLyricsFolder = val.trim();
+      break;
+    case "lyricsProviders":
+      state.lyricsProviders = val
+        .split(",")
+        .map((id) => id.trim().toLowerCase())
+        .filter((id) => id.length > 0);
+      break;
+    case "lyricsProxy":
+      state.lyricsProxy = val.trim();
+      break;
+    case "lyricsEndpoints":
+      // "lrclib=http://localhost:3000/api, betterlyrics=..."
+      state.lyricsEndpoints = {};
+      for (const pair of val.split(",")) {
+        const separator = pair.indexOf("=");
+        if (separator < 0) continue;
+        const id = pair.slice(0, separator).trim().toLowerCase();
+        const url = pair.slice(separator + 1).trim();
+        if (id && url) state.lyricsEndpoints[id] = url;
+      }
+      break;
+    case "parallelLyricsSearch":
+      state.parallelLyricsSearch = val;
+      break;
+    case "estimatePlainTiming":
+      state.estimatePlainTiming = val;
+      break;
+    case "lyricsLayout":
+      state.lyricsLayout = LYRICS_LAYOUTS[val] || LYRICS_LAYOUTS[0];
+      setLyricsLayout(state.lyricsLayout);
+      break;
+    case "lyricsTranslation":
+      state.lyricsTranslationMode =
+        LYRICS_TRANSLATION_MODES[val] || LYRICS_TRANSLATION_MODES[2];
+      setLyricsTranslationMode(state.lyricsTranslationMode);
+      break;
+    case "romanizeHangul":
+    case "romanizeCyrillic":
+      state.romanize[name === "romanizeHangul" ? "hangul" : "cyrillic"] = val;
+      if (state.currentLyrics) {
+        romanizeLyrics(state.currentLyrics, state.romanize);
+        // A new array makes the lyrics view rebuild its lines
+        state.currentLyrics = [...state.currentLyrics];
+      }
+      break;
+    case "lyricsMinGap":
+      state.minLyricsGap = val;
+      if (state.currentLyrics) state.currentLyrics = [...state.currentLyrics];
+      break;
+    case "lyricsGapPulse":
+      state.lyricsGapPulse = val;
+      break;
+    case "lyricsOffset":
+      state.lyricsOffset = val;
+      break;
+    case "trackLyricsOffset":
+      // Lively replays the slider's last value on load and with other settings,
+      // that value belongs to whichever song it was tuned for, so only a move counts.
+      // A moved slider applies to the playing song and is remembered for its next plays
+      if (
+        state.trackOffsetSlider !== null &&
+        val !== state.trackOffsetSlider &&
+        state.currentTitle
+      ) {
+        state.trackLyricsOffset = val;
+        setTrackOffset(state.currentArtist, state.currentTitle, val);
+      }
+      state.trackOffsetSlider = val;
+      break;
+    case "resetTrackLyricsOffset":
+      if (state.currentTitle) {
+        state.trackLyricsOffset = 0;
+        setTrackOffset(state.currentArtist, state.currentTitle, 0);
+      }
+      break;
+    case "clearLyricsCache":
+      clearLyricsCache();
+      break;
   }
 }
@@ -3,13 +3,23 @@
  * Handles main canvas drawing for background, image, and decorative lines
  */
 
-import { SCALE } from "./config.js";
+import { SCALE, VISUALIZER_LINES } from "./config.js";
 import { colorWithAlpha, getSolidColor } from "./colors.js";
 
+/**
+ * Converts a line endpoint from canvas fractions plus pixel offsets to pixels
+ */
+function toCanvasPoint(point, canvas) {
+  return {
+    x: point.x * canvas.width + (point.dx || 0),
+    y: point.y * canvas.height + (point.dy || 0),
+  };
+}
+
 /**
  * Renders the main canvas with background, image, and decorative lines
  * @param {Object} state - Application state object
- * @param {Object} lines - Line coordinate objects
+ * @param {Array<Object>} lines - Line endpoints, see app.js
  * @param {HTMLImageElement} img - Album art image element
  */
 export function render(state, lines, img) {
@@ -26,20 +36,13 @@ export function render(state, lines, img) {
   }%`;
 
   // Calculate line positions based on scaled canvas dimensions
-  lines.line1A = { x: SCALE.line1AX * canvas.width, y: 0 };
-  lines.line1B = {
-    x: SCALE.line1BX * canvas.width + SCALE.line1BXOffset,
-    y: canvas.height + SCALE.line1BXOffset,
-  };
-  lines.line2A = { x: SCALE.line2AX * canvas.width, y: 0 };
-  lines.line2B = { x: canvas.width, y: SCALE.imgCenterYRatio * canvas.height };
-  lines.line3A = { x: SCALE.line3AX * canvas.width, y: 0 };
-  lines.line3B = { x: SCALE.line3BX * canvas.width, y: canvas.height };
-  lines.line4A = { x: canvas.width, y: SCALE.imgCenterYRatio * canvas.height };
-  lines.line4B = {
-    x: SCALE.line4BX * canvas.width - SCALE.line4BXOffset,
-    y: canvas.height + SCALE.line4BXOffset,
-  };
+  lines.length = 0;
+  for (const line of VISUALIZER_LINES) {
+    lines.push({
+      a: toCanvasPoint(line.from, canvas),
+      b: toCanvasPoint(line.to, canvas),
+    });
+  }
 
   ctx.save();
   ctx.clearRect(0, 0, canvas.width, canvas.height);
@@ -176,20 +179,10 @@ export function render(state, lines, img) {
   ctx.strokeStyle = state.lineColor;
   ctx.lineWidth = 2;
   ctx.beginPath();
-  ctx.moveTo(lines.line1A.x, lines.line1A.y);
-  ctx.lineTo(lines.line1B.x, lines.line1B.y);
-  ctx.stroke();
-
-  ctx.moveTo(lines.line2A.x, lines.line2A.y);
-  ctx.lineTo(lines.line2B.x, lines.line2B.y);
-  ctx.stroke();
-
-  ctx.moveTo(lines.line3A.x, lines.line3A.y);
-  ctx.lineTo(lines.line3B.x, lines.line3B.y);
-  ctx.stroke();
-
-  ctx.moveTo(lines.line4A.x, lines.line4A.y);
-  ctx.lineTo(lines.line4B.x, lines.line4B.y);
+  for (const line of lines) {
+    ctx.moveTo(line.a.x, line.a.y);
+    ctx.lineTo(line.b.x, line.b.y);
+  }
   ctx.stroke();
 
   ctx.restore();
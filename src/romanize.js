@@ -0,0 +1,319 @@
+/**
+ * Romanization
+ * Offline transliteration of Hangul (Revised Romanization) and Cyrillic lyrics
+ */
+
+const HANGUL_BASE = 0xac00;
+const HANGUL_LAST = 0xd7a3;
+
+// Jamo romanizations in Unicode order
+const INITIALS = [
+  "g",
+  "kk",
+  "n",
+  "d",
+  "tt",
+  "r",
+  "m",
+  "b",
+  "pp",
+  "s",
+  "ss",
+  "",
+  "j",
+  "jj",
+  "ch",
+  "k",
+  "t",
+  "p",
+  "h",
+];
+const MEDIALS = [
+  "a",
+  "ae",
+  "ya",
+  "yae",
+  "eo",
+  "e",
+  "yeo",
+  "ye",
+  "o",
+  "wa",
+  "wae",
+  "oe",
+  "yo",
+  "u",
+  "wo",
+  "we",
+  "wi",
+  "yu",
+  "eu",
+  "ui",
+  "i",
+];
+// Final consonant at the end of a word or before another consonant
+const FINALS = [
+  "",
+  "k",
+  "k",
+  "k",
+  "n",
+  "n",
+  "n",
+  "t",
+  "l",
+  "k",
+  "m",
+  "l",
+  "l",
+  "l",
+  "p",
+  "l",
+  "m",
+  "p",
+  "p",
+  "t",
+  "t",
+  "ng",
+  "t",
+  "t",
+  "k",
+  "t",
+  "p",
+  "t",
+];
+// Final consonant carried over to a following syllable that starts with a vowel
+const LIAISON = [
+  "",
+  "g",
+  "kk",
+  "ks",
+  "n",
+  "nj",
+  "n",
+  "d",
+  "r",
+  "lg",
+  "lm",
+  "lb",
+  "ls",
+  "lt",
+  "lp",
+  "r",
+  "m",
+  "b",
+  "ps",
+  "s",
+  "ss",
+  "ng",
+  "j",
+  "ch",
+  "k",
+  "t",
+  "p",
+  "",
+];
+
+// Jamo indices used by the sound change rules
+const INITIAL_G = 0;
+const INITIAL_N = 2;
+const INITIAL_D = 3;
+const INITIAL_R = 5;
+const INITIAL_M = 6;
+const INITIAL_SILENT = 11;
+const INITIAL_J = 12;
+const MEDIAL_I = 20;
+const FINAL_NH = 6;
+const FINAL_D = 7;
+const FINAL_LT = 13;
+const FINAL_LH = 15;
+const FINAL_T = 25;
+const FINAL_H = 27;
+
+// Aspirated sound of ㄱ, ㄷ and ㅈ after a final ㅎ
+const ASPIRATED = { [INITIAL_G]: "k", [INITIAL_D]: "t", [INITIAL_J]: "ch" };
+
+// What a final ㅎ leaves behind once it aspirates the next consonant
+const BEFORE_H = { [FINAL_H]: "", [FINAL_NH]: "n", [FINAL_LH]: "l" };
+
+const CYRILLIC = {
+  а: "a",
+  б: "b",
+  в: "v",
+  г: "g",
+  д: "d",
+  е: "e",
+  ё: "yo",
+  ж: "zh",
+  з: "z",
+  и: "i",
+  й: "y",
+  к: "k",
+  л: "l",
+  м: "m",
+  н: "n",
+  о: "o",
+  п: "p",
+  р: "r",
+  с: "s",
+  т: "t",
+  у: "u",
+  ф: "f",
+  х: "kh",
+  ц: "ts",
+  ч: "ch",
+  ш: "sh",
+  щ: "shch",
+  ъ: "",
+  ы: "y",
+  ь: "",
+  э: "e",
+  ю: "yu",
+  я: "ya",
+  // Ukrainian and Belarusian
+  є: "ye",
+  і: "i",
+  ї: "yi",
+  ґ: "g",
+  ў: "w",
+  // Serbian and Macedonian
+  ђ: "dj",
+  ј: "j",
+  љ: "lj",
+  њ: "nj",
+  ћ: "c",
+  џ: "dz",
+  ѓ: "gj",
+  ќ: "kj",
+  ѕ: "dz",
+};
+
+/**
+ * Splits a precomposed Hangul syllable into jamo indices
+ * @returns {Object|null} {initial, medial, final}, null for other characters
+ */
+function decompose(char) {
+  const code = char ? char.charCodeAt(0) - HANGUL_BASE : -1;
+  if (code < 0 || code > HANGUL_LAST - HANGUL_BASE) return null;
+  return {
+    initial: Math.floor(code / 588),
+    medial: Math.floor((code % 588) / 28),
+    final: code % 28,
+  };
+}
+
+/**
+ * Romanizes a final consonant and the next initial together, applying
+ * liaison, palatalization (ㄷ/ㅌ before 이), aspiration by a final ㅎ,
+ * nasalization and the ㄹ/ㄴ assimilation
+ * @param {number} final - Final consonant index
+ * @param {Object} next - Jamo indices of the next syllable, see decompose
+ * @returns {Array<string>} [final, next initial]
+ */
+function joinSyllables(final, next) {
+  const nextInitial = next.initial;
+  if (nextInitial === INITIAL_SILENT && next.medial === MEDIAL_I) {
+    // 굳이 guji, 같이 gachi
+    if (final === FINAL_D) return ["", "j"];
+    if (final === FINAL_T) return ["", "ch"];
+    if (final === FINAL_LT) return ["l", "ch"];
+  }
+  if (nextInitial === INITIAL_SILENT) return [LIAISON[final], ""];
+
+  // 좋다 jota, 놓고 noko
+  if (final in BEFORE_H && nextInitial in ASPIRATED) {
+    return [BEFORE_H[final], ASPIRATED[nextInitial]];
+  }
+
+  const sound = FINALS[final];
+  if (nextInitial === INITIAL_N || nextInitial === INITIAL_M) {
+    // k/t/p sounds become ng/n/m before a nasal
+    if (sound === "k") return ["ng", INITIALS[nextInitial]];
+    if (sound === "t") return ["n", INITIALS[nextInitial]];
+    if (sound === "p") return ["m", INITIALS[nextInitial]];
+    if (sound === "l" && nextInitial === INITIAL_N) return ["l", "l"];
+  }
+  if (nextInitial === INITIAL_R) {
+    if (sound === "l" || sound === "n") return ["l", "l"];
+    // ㄹ turns to ㄴ, which nasalizes k/t/p in turn: 국립 gungnip
+    if (sound === "k") return ["ng", "n"];
+    if (sound === "t") return ["n", "n"];
+    if (sound === "p") return ["m", "n"];
+    return [sound, "n"];
+  }
+
+  return [sound, INITIALS[nextInitial]];
+}
+
+/**
+ * Romanizes Hangul following the Revised Romanization of Korean
+ * @param {string} text - Text containing Hangul
+ * @returns {string} Text with Hangul syllables romanized
+ */
+export function romanizeHangul(text) {
+  const chars = [...text];
+  let result = "";
+  let carriedInitial = null;
+
+  chars.forEach((char, i) => {
+    const syllable = decompose(char);
+    if (!syllable) {
+      result += char;
+      carriedInitial = null;
+      return;
+    }
+
+    const initial =
+      carriedInitial !== null ? carriedInitial : INITIALS[syllable.initial];
+    const next = decompose(chars[i + 1]);
+    let final = FINALS[syllable.final];
+    carriedInitial = null;
+
+    if (next && syllable.final > 0) {
+      [final, carriedInitial] = joinSyllables(syllable.final, next);
+    }
+
+    result += initial + MEDIALS[syllable.medial] + final;
+  });
+
+  return result;
+}
+
+/**
+ * Transliterates Cyrillic letters to Latin, keeping capitalization
+ * @param {string} text - Text containing Cyrillic
+ * @returns {string} Transliterated text
+ */
+export function romanizeCyrillic(text) {
+  return [...text]
+    .map((char) => {
+      const lower = char.toLowerCase();
+      const latin = CYRILLIC[lower];
+      if (latin === undefined) return char;
+      if (char === lower || !latin) return latin;
+      return latin[0].toUpperCase() + latin.slice(1);
+    })
+    .join("");
+}
+
+/**
+ * Adds a romanized line to every lyric written in an enabled script
+ * @param {Array<Object>} lines - Parsed lyric lines, changed in place
+ * @param {Object} scripts - {hangul, cyrillic} flags
+ */
+export function romanizeLyrics(lines, scripts) {
+  for (const line of lines || []) {
+    delete line.romanized;
+    if (line.isGap) continue;
+
+    let romanized = line.text;
+    if (scripts.hangul && /[\uac00-\ud7a3]/.test(romanized)) {
+      romanized = romanizeHangul(romanized);
+    }
+    if (scripts.cyrillic && /[\u0400-\u04ff]/.test(romanized)) {
+      romanized = romanizeCyrillic(romanized);
+    }
+
+    if (romanized !== line.text) line.romanized = romanized;
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * Spectrum
+ * Remaps Lively's linear frequency bins onto a perceptual scale, names
+ * each resulting band bass, mids or highs from the crossover frequencies
+ * and smooths the bands over time
+ */
+
+import { AUDIO_SPECTRUM, AUDIO_ENVELOPE } from "./config.js";
+
+/**
+ * Frequency scales, each converting Hz to its own unit and back
+ */
+const SCALES = {
+  linear: { to: (f) => f, from: (v) => v },
+  log: { to: (f) => Math.log(f), from: (v) => Math.exp(v) },
+  mel: {
+    to: (f) => 2595 * Math.log10(1 + f / 700),
+    from: (m) => 700 * (Math.pow(10, m / 2595) - 1),
+  },
+};
+
+/**
+ * Band layout for the last input size and settings, rebuilt when they change
+ */
+let layout = { key: null, ranges: [], frequencies: [] };
+
+/**
+ * Splits the audible range into bands of equal width on the chosen scale
+ * Each band keeps the fractional bin range it covers and its centre frequency
+ */
+function buildLayout(binCount, bandCount, scaleName) {
+  const scale = SCALES[scaleName] || SCALES.mel;
+  const binWidth = AUDIO_SPECTRUM.maxFrequency / binCount;
+  const low = scale.to(AUDIO_SPECTRUM.minFrequency);
+  const high = scale.to(AUDIO_SPECTRUM.maxFrequency);
+  const edge = (k) => scale.from(low + ((high - low) * k) / bandCount);
+
+  const ranges = [];
+  const frequencies = [];
+  for (let k = 0; k < bandCount; k++) {
+    const start = edge(k);
+    const end = edge(k + 1);
+    ranges.push({ from: start / binWidth, to: end / binWidth });
+    frequencies.push(scale.from((scale.to(start) + scale.to(end)) / 2));
+  }
+  return { ranges, frequencies };
+}
+
+/**
+ * Reads one band from the bins
+ * Bands narrower than a bin interpolate between neighbours, wider ones keep their loudest bin
+ */
+function sampleBand(audioArray, range) {
+  const last = audioArray.length - 1;
+
+  if (range.to - range.from < 1) {
+    const position = Math.max(
+      0,
+      Math.min(last, (range.from + range.to) / 2 - 0.5)
+    );
+    const i = Math.floor(position);
+    const fraction = position - i;
+    const next = Math.min(last, i + 1);
+    return audioArray[i] * (1 - fraction) + audioArray[next] * fraction;
+  }
+
+  let peak = 0;
+  const end = Math.min(last, Math.ceil(range.to) - 1);
+  for (let i = Math.floor(range.from); i <= end; i++) {
+    peak = Math.max(peak, audioArray[i]);
+  }
+  return peak;
+}
+
+/**
+ * Remaps the audio array to perceptual bands
+ * @param {Array<number>} audioArray - Lively's frequency levels (0-1), linear bins
+ * @param {Object} state - Application state, reads spectrumScale, spectrumBands and the crossovers
+ * @returns {Object} {levels, frequencies, bands}, bands naming each level "bass", "mids" or "highs"
+ */
+export function analyzeSpectrum(audioArray, state) {
+  const key = `${audioArray.length}|${state.spectrumBands}|${state.spectrumScale}`;
+  if (layout.key !== key) {
+    layout = {
+      key,
+      ...buildLayout(
+        audioArray.length,
+        state.spectrumBands,
+        state.spectrumScale
+      ),
+    };
+  }
+
+  const levels = layout.ranges.map((range) => sampleBand(audioArray, range));
+  const bands = layout.frequencies.map((frequency) =>
+    frequency < state.bassCrossover
+      ? "bass"
+      : frequency < state.highsCrossover
+      ? "mids"
+      : "highs"
+  );
+
+  return { levels, frequencies: layout.frequencies, bands };
+}
+
+/**
+ * Envelope of the last frame, one value per band, reset when the band count changes
+ */
+let envelope = { time: null, levels: [], peaks: [], holds: [] };
+
+/**
+ * Smooths levels over time, rising with the attack time and falling with the release time
+ * Peaks hold for peakHoldTime, then fall at peakDecay per second
+ * @param {Object} spectrum - Result of analyzeSpectrum
+ * @param {Object} state - Application state, reads the attack, release and peak settings
+ * @param {number} [now] - Frame time in milliseconds
+ * @returns {Object} The spectrum with smoothed levels and their peaks
+ */
+export function applyEnvelope(spectrum, state, now = performance.now()) {
+  const count = spectrum.levels.length;
+  if (envelope.levels.length !== count) {
+    envelope = {
+      time: null,
+      levels: new Array(count).fill(0),
+      peaks: new Array(count).fill(0),
+      holds: new Array(count).fill(0),
+    };
+  }
+
+  // Capped so a stalled frame does not jump straight to the target
+  const dt = envelope.time === null ? 0 : Math.min(now - envelope.time, 250);
+  envelope.time = now;
+  const follow = (time) => (time > 0 ? 1 - Math.exp(-dt / time) : 1);
+  const attack = follow(state.attackTime);
+  const release = follow(state.releaseTime);
+
+  spectrum.levels.forEach((level, i) => {
+    const previous = envelope.levels[i];
+    let next =
+      previous + (level - previous) * (level > previous ? attack : release);
+    // The release only nears zero, snap it so silence reads as silence
+    if (next < AUDIO_ENVELOPE.silence) next = 0;
+    envelope.levels[i] = next;
+
+    if (next >= envelope.peaks[i]) {
+      envelope.peaks[i] = next;
+      envelope.holds[i] = state.peakHoldTime;
+    } else if (envelope.holds[i] > 0) {
+      envelope.holds[i] -= dt;
+    } else {
+      envelope.peaks[i] = Math.max(
+        next,
+        envelope.peaks[i] - (state.peakDecay * dt) / 1000
+      );
+    }
+  });
+
+  return {
+    ...spectrum,
+    levels: [...envelope.levels],
+    peaks: [...envelope.peaks],
+  };
+}
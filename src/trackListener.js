@@ -5,7 +5,41 @@
 
 import { buildRgb, quantization, setDynamicColors } from "./colors.js";
 import { render } from "./renderer.js";
-import { fetchLyrics, updateLyricsSync } from "./lyrics.js";
+import { fetchLyrics } from "./lyrics.js";
+import { isTransientError } from "./lyricsProviders.js";
+import { updateLyricsSync, showLyricsMessage } from "./lyricsView.js";
+import { resetPlaybackClock } from "./playbackClock.js";
+import { getTrackOffset } from "./lyricsOffsets.js";
+
+/**
+ * Hashes a string with FNV-1a, used to tell thumbnails apart cheaply
+ * @param {string} text - String to hash
+ * @returns {string} Hash in hex
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * Builds an identity key for a track from title, artist, album and thumbnail
+ * Updates with the same key only differ in playback position
+ * @param {Object|null} obj - Parsed track data from Lively
+ * @returns {string|null} Track key, or null when nothing is playing
+ */
+export function getTrackKey(obj) {
+  if (obj == null) return null;
+  return [
+    obj.Title,
+    obj.Artist,
+    obj.AlbumTitle,
+    obj.Thumbnail ? hashString(obj.Thumbnail) : "",
+  ].join("|");
+}
 
 /**
  * Called when the current playing track changes
@@ -13,6 +47,11 @@ import { fetchLyrics, updateLyricsSync } from "./lyrics.js";
 export async function livelyCurrentTrack(data, state, lines, img) {
   let obj = JSON.parse(data);
 
+  // Cancel the art processing and lyric lookup of the previous track
+  if (state.trackRequest) state.trackRequest.abort();
+  state.trackRequest = new AbortController();
+  const { signal } = state.trackRequest;
+
   // --- 1. Handle Album Art & Colors ---
   if (obj != null && obj.Thumbnail != null && state.displayMusicArt) {
     const img64 = !obj.Thumbnail.startsWith("data:image/")
@@ -22,6 +61,9 @@ export async function livelyCurrentTrack(data, state, lines, img) {
     newImg.src = img64;
 
     newImg.onload = () => {
+      // Skip art of a track that has already been replaced
+      if (signal.aborted) return;
+
       img.src = newImg.src;
       const off = document.createElement("canvas");
       off.width = newImg.naturalWidth;
@@ -53,13 +95,16 @@ export async function livelyCurrentTrack(data, state, lines, img) {
       : "";
 
     // Reset state for new track
+    state.currentArtist = obj.Artist || "";
+    state.currentTitle = obj.Title || "";
+    state.trackLyricsOffset = getTrackOffset(obj.Artist, obj.Title);
     state.currentLyrics = null;
     state.lyricsSource = "Loading...";
-    state.currentPosition = 0;
+    resetPlaybackClock(state);
+    state.currentDuration =
+      obj.Duration !== undefined ? obj.Duration / 1000 : 0; // Convert to seconds
 
-    const container = document.getElementById("lyrics-container");
-    container.innerHTML =
-      '<div class="lyrics-source">Searching lyrics...</div>';
+    showLyricsMessage("Searching lyrics...");
 
     if (obj.Title && obj.Artist) {
       try {
@@ -67,32 +112,64 @@ export async function livelyCurrentTrack(data, state, lines, img) {
         const result = await fetchLyrics(obj.Artist, obj.Title, {
           musixmatchKey: state.musixmatchKey,
           geniusKey: state.geniusKey,
+          duration: state.currentDuration,
+          providers: state.lyricsProviders,
+          parallel: state.parallelLyricsSearch,
+          estimateTiming: state.estimatePlainTiming,
+          romanize: state.romanize,
+          localFolder: state.localLyricsFolder,
+          proxy: state.lyricsProxy,
+          endpoints: state.lyricsEndpoints,
+          signal,
+          onRetry: ({ offline, delay }) => {
+            if (signal.aborted) return;
+            showLyricsMessage(
+              offline
+                ? "Offline, lyrics will load once reconnected..."
+                : `Lyrics sources unreachable, retrying in ${Math.round(
+                    delay / 1000
+                  )}s...`
+            );
+          },
         });
 
+        // The track changed while fetching, leave the display to the new one
+        if (signal.aborted) return;
+
         // Check if result has parsed lyrics with timing data
         if (result && result.parsedLyrics && result.parsedLyrics.length > 0) {
           state.currentLyrics = result.parsedLyrics;
           state.lyricsSource = result.source;
-          state.currentPosition = 0;
+          state.lyricsSynced = result.synced;
+          state.lyricsEstimated = result.estimated;
 
           // Initial update of lyrics display
           updateLyricsSync(state.currentPosition, state);
         } else {
           // No lyrics found
-          container.innerHTML = `<div class="lyrics-source">No lyrics found for "${obj.Title}"</div>`;
+          showLyricsMessage(`No lyrics found for "${obj.Title}"`);
         }
       } catch (err) {
+        if (signal.aborted) return;
         console.error("Error loading lyrics:", err);
-        container.innerHTML = `<div class="lyrics-source" style="color:#ff5555">Error loading lyrics</div>`;
+        showLyricsMessage(
+          isTransientError(err)
+            ? "Lyrics sources unreachable, try again later"
+            : "Error loading lyrics",
+          true
+        );
       }
     }
   } else {
     // Reset everything if no track is playing
     document.getElementById("track-title").innerHTML = "";
     document.getElementById("track-artist").innerHTML = "";
-    document.getElementById("lyrics-container").innerHTML = "";
+    showLyricsMessage("");
     state.currentLyrics = null;
     state.lyricsSource = "";
-    state.currentPosition = 0;
+    state.currentArtist = "";
+    state.currentTitle = "";
+    state.trackLyricsOffset = 0;
+    resetPlaybackClock(state);
   }
 }
@@ -0,0 +1,181 @@
+/**
+ * Visualizer Styles
+ * Alternative renderers to the waves, each drawing the processed levels on TopCanvas
+ * Colors come from state.primaryColor (low frequencies) to state.secondaryColor (high)
+ */
+
+import { SCALE, VISUALIZER_SHAPES } from "./config.js";
+
+/**
+ * Number of levels to draw, the last level only closes the waves
+ */
+function levelCount(frame) {
+  return frame.levels.length - 1;
+}
+
+/**
+ * Classic bars standing on the bottom edge
+ * @param {CanvasRenderingContext2D} tctx - TopCanvas context
+ * @param {Object} frame - {canvas, levels, peaks}, see renderAudioVisualization
+ * @param {Object} state - Application state object
+ */
+export function drawBars(tctx, frame, state) {
+  const { canvas, levels, peaks } = frame;
+  const count = levelCount(frame);
+  const slot = canvas.width / count;
+  const width = slot * (1 - VISUALIZER_SHAPES.bars.gap);
+  const reach = state.maxLevel * VISUALIZER_SHAPES.bars.reach;
+
+  const gradient = tctx.createLinearGradient(0, 0, canvas.width, 0);
+  gradient.addColorStop(0, state.primaryColor);
+  gradient.addColorStop(1, state.secondaryColor);
+  tctx.fillStyle = gradient;
+
+  tctx.beginPath();
+  for (let i = 0; i < count; i++) {
+    const height = levels[i] * reach;
+    tctx.rect(i * slot, canvas.height - height, width, height);
+    if (peaks && peaks[i] > 0) {
+      const top = canvas.height - peaks[i] * reach;
+      tctx.rect(i * slot, top - VISUALIZER_SHAPES.peakHeight, width, 1);
+    }
+  }
+  tctx.fill();
+}
+
+/**
+ * Spectrum tracing the album-art diamond, clockwise from its top corner
+ * Each point is pushed out from the edge it sits on
+ * @param {CanvasRenderingContext2D} tctx - TopCanvas context
+ * @param {Object} frame - {canvas, levels}, see renderAudioVisualization
+ * @param {Object} state - Application state object
+ */
+export function drawDiamondOutline(tctx, frame, state) {
+  const { canvas, levels } = frame;
+  const count = levelCount(frame);
+  const cx = SCALE.imgCenterX * canvas.width;
+  const cy = SCALE.imgCenterY * canvas.height;
+  const a = (SCALE.imgWidth * canvas.width) / 2;
+  const b = (SCALE.imgHeight * canvas.height) / 2;
+  const corners = [
+    { x: cx, y: cy - b },
+    { x: cx + a, y: cy },
+    { x: cx, y: cy + b },
+    { x: cx - a, y: cy },
+  ];
+  const reach = state.maxLevel * VISUALIZER_SHAPES.diamond.reach;
+
+  const gradient = tctx.createLinearGradient(cx, cy - b, cx, cy + b);
+  gradient.addColorStop(0, state.primaryColor);
+  gradient.addColorStop(1, state.secondaryColor);
+  tctx.fillStyle = gradient;
+
+  tctx.beginPath();
+  for (let i = 0; i <= count; i++) {
+    const position = ((i % count) / count) * 4;
+    const edge = Math.floor(position);
+    const from = corners[edge];
+    const to = corners[(edge + 1) % 4];
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const length = Math.hypot(dx, dy);
+    const t = position - edge;
+    const push = levels[i % count] * reach;
+    // Outward normal of a clockwise edge on a y-down canvas
+    tctx.lineTo(
+      from.x + dx * t + (dy / length) * push,
+      from.y + dy * t - (dx / length) * push
+    );
+  }
+  // Cut the diamond itself out so only the spectrum around it is filled
+  tctx.moveTo(corners[0].x, corners[0].y);
+  for (let k = 3; k >= 0; k--) tctx.lineTo(corners[k].x, corners[k].y);
+  tctx.fill("evenodd");
+}
+
+/**
+ * Radial spectrum around the art centre, mirrored left and right from the top
+ * @param {CanvasRenderingContext2D} tctx - TopCanvas context
+ * @param {Object} frame - {canvas, levels, peaks}, see renderAudioVisualization
+ * @param {Object} state - Application state object
+ */
+export function drawRadial(tctx, frame, state) {
+  const { canvas, levels, peaks } = frame;
+  const count = levelCount(frame);
+  const cx = SCALE.imgCenterX * canvas.width;
+  const cy = SCALE.imgCenterY * canvas.height;
+  const radius =
+    ((SCALE.imgHeight * canvas.height) / 2) * VISUALIZER_SHAPES.radial.radius;
+  const reach = state.maxLevel * VISUALIZER_SHAPES.radial.reach;
+
+  const gradient = tctx.createRadialGradient(
+    cx,
+    cy,
+    radius,
+    cx,
+    cy,
+    radius + reach
+  );
+  gradient.addColorStop(0, state.primaryColor);
+  gradient.addColorStop(1, state.secondaryColor);
+  tctx.strokeStyle = gradient;
+  tctx.lineWidth = Math.max(1, ((Math.PI * radius) / count) * 0.6);
+
+  tctx.beginPath();
+  for (let i = 0; i < count; i++) {
+    const angle = ((i + 0.5) / count) * Math.PI;
+    for (const side of [1, -1]) {
+      const x = Math.sin(angle) * side;
+      const y = -Math.cos(angle);
+      const outer = radius + levels[i] * reach;
+      tctx.moveTo(cx + x * radius, cy + y * radius);
+      tctx.lineTo(cx + x * outer, cy + y * outer);
+      if (peaks && peaks[i] > 0) {
+        const peak = radius + peaks[i] * reach + VISUALIZER_SHAPES.peakHeight;
+        tctx.moveTo(cx + x * peak, cy + y * peak);
+        tctx.lineTo(cx + x * (peak + 1), cy + y * (peak + 1));
+      }
+    }
+  }
+  tctx.stroke();
+}
+
+/**
+ * Oscilloscope-style wave across the canvas, mirrored about a horizontal centre line
+ * @param {CanvasRenderingContext2D} tctx - TopCanvas context
+ * @param {Object} frame - {canvas, levels}, see renderAudioVisualization
+ * @param {Object} state - Application state object
+ */
+export function drawMirroredWave(tctx, frame, state) {
+  const { canvas, levels } = frame;
+  const count = levelCount(frame);
+  const y = VISUALIZER_SHAPES.mirror.y * canvas.height;
+  const reach = state.maxLevel * VISUALIZER_SHAPES.mirror.reach;
+  const step = canvas.width / (count - 1);
+
+  const gradient = tctx.createLinearGradient(0, 0, canvas.width, 0);
+  gradient.addColorStop(0, state.primaryColor);
+  gradient.addColorStop(1, state.secondaryColor);
+  tctx.fillStyle = gradient;
+
+  tctx.beginPath();
+  for (const side of [-1, 1]) {
+    tctx.moveTo(0, y + side * levels[0] * reach);
+    // Curves pass through the midpoints, each level being a control point
+    for (let i = 1; i < count; i++) {
+      const midX = (i - 0.5) * step;
+      const midY = y + side * ((levels[i - 1] + levels[i]) / 2) * reach;
+      tctx.quadraticCurveTo(
+        (i - 1) * step,
+        y + side * levels[i - 1] * reach,
+        midX,
+        midY
+      );
+    }
+    tctx.lineTo(canvas.width, y + side * levels[count - 1] * reach);
+    tctx.lineTo(canvas.width, y);
+    tctx.lineTo(0, y);
+    tctx.closePath();
+  }
+  tctx.fill();
+}